@@ -0,0 +1,146 @@
+// @ts-check
+
+import { AssumeRoleWithWebIdentityCommand, STSClient } from "@aws-sdk/client-sts";
+
+// Audience of the GitHub OIDC token, as expected by AWS STS
+const OIDC_AUDIENCE = "sts.amazonaws.com";
+
+const DEFAULT_ROLE_SESSION_NAME = "create-github-app-token";
+
+/**
+ * @typedef {Object} AwsCredentialOptions
+ * @property {string} [awsProfile] - AWS profile to load credentials from
+ * @property {string} [awsRoleArn] - IAM role to assume with the GitHub OIDC token
+ * @property {string} [awsRoleSessionName] - Session name for the assumed role
+ * @property {(audience: string) => Promise<string>} [getIDToken] - Returns a GitHub OIDC token (required with `awsRoleArn`)
+ */
+
+/**
+ * Build the credential part of an AWS SDK client configuration. With `awsRoleArn`, the
+ * role is assumed with a GitHub OIDC token and the temporary credentials are only kept
+ * in memory by the client. They are never exported to the job environment.
+ * @param {AwsCredentialOptions & { region?: string }} options
+ * @returns {{ region?: string, profile?: string, credentials?: () => Promise<import("@aws-sdk/types").AwsCredentialIdentity> }}
+ */
+export function getAwsClientConfig({
+  awsProfile,
+  awsRoleArn,
+  awsRoleSessionName,
+  getIDToken,
+  region,
+}) {
+  if (awsRoleArn) {
+    return {
+      region,
+      credentials: () =>
+        assumeRoleWithGitHubOidc({
+          awsRoleArn,
+          awsRoleSessionName,
+          getIDToken,
+          region,
+        }),
+    };
+  }
+
+  return awsProfile ? { profile: awsProfile, region } : { region };
+}
+
+/**
+ * Get the region of an AWS resource ARN. Names and IDs, such as KMS alias names and key
+ * IDs, do not include a region.
+ * @param {string} arn - The ARN, name or ID of the resource
+ * @returns {string | undefined}
+ */
+export function getArnRegion(arn) {
+  // Format: arn:PARTITION:SERVICE:REGION:ACCOUNT:RESOURCE
+  if (!arn.startsWith("arn:")) {
+    return undefined;
+  }
+
+  return arn.split(":")[3] || undefined;
+}
+
+/**
+ * Describe where AWS credentials come from, for error messages
+ * @param {AwsCredentialOptions} options
+ * @returns {string}
+ */
+export function describeCredentialsSource({ awsProfile, awsRoleArn }) {
+  if (awsRoleArn) {
+    return `the role '${awsRoleArn}' assumed with the GitHub OIDC token`;
+  }
+
+  return awsProfile
+    ? `the AWS profile '${awsProfile}'`
+    : "the default AWS credential provider chain";
+}
+
+/**
+ * Explain how to fix an AWS SDK error about missing, invalid or expired credentials
+ * (`CredentialsProviderError`, `UnrecognizedClientException` or `ExpiredTokenException`)
+ * @param {AwsCredentialOptions} options
+ * @returns {string}
+ */
+export function describeCredentialsError(options) {
+  return `Could not authenticate to AWS using ${describeCredentialsSource(options)}. Configure AWS credentials before this step, for example with aws-actions/configure-aws-credentials, or set 'aws-role-arn'.`;
+}
+
+/**
+ * Exchange a GitHub OIDC token for temporary credentials of an IAM role
+ * @param {Object} options
+ * @param {string} options.awsRoleArn - IAM role to assume
+ * @param {string} [options.awsRoleSessionName] - Session name for the assumed role
+ * @param {(audience: string) => Promise<string>} [options.getIDToken] - Returns a GitHub OIDC token
+ * @param {string} [options.region] - AWS region of the STS endpoint
+ * @returns {Promise<import("@aws-sdk/types").AwsCredentialIdentity>}
+ */
+async function assumeRoleWithGitHubOidc({
+  awsRoleArn,
+  awsRoleSessionName,
+  getIDToken,
+  region,
+}) {
+  if (!getIDToken) {
+    throw new Error("getIDToken is required to assume an AWS role");
+  }
+
+  let webIdentityToken;
+  try {
+    webIdentityToken = await getIDToken(OIDC_AUDIENCE);
+  } catch (error) {
+    throw new Error(
+      `Could not get a GitHub OIDC token to assume the role '${awsRoleArn}'. Make sure the job has the 'id-token: write' permission. (${error.message})`,
+      { cause: error }
+    );
+  }
+
+  const stsClient = new STSClient({ region });
+
+  let response;
+  try {
+    response = await stsClient.send(
+      new AssumeRoleWithWebIdentityCommand({
+        RoleArn: awsRoleArn,
+        RoleSessionName: awsRoleSessionName || DEFAULT_ROLE_SESSION_NAME,
+        WebIdentityToken: webIdentityToken,
+      })
+    );
+  } catch (error) {
+    throw new Error(
+      `Could not assume the role '${awsRoleArn}' with the GitHub OIDC token. Make sure the role's trust policy allows 'sts:AssumeRoleWithWebIdentity' for this repository. (${error.name}: ${error.message})`,
+      { cause: error }
+    );
+  }
+
+  const credentials = response.Credentials;
+  if (!credentials?.AccessKeyId || !credentials.SecretAccessKey) {
+    throw new Error(`Assuming the role '${awsRoleArn}' returned no credentials`);
+  }
+
+  return {
+    accessKeyId: credentials.AccessKeyId,
+    secretAccessKey: credentials.SecretAccessKey,
+    sessionToken: credentials.SessionToken,
+    expiration: credentials.Expiration,
+  };
+}
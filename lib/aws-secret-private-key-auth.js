@@ -0,0 +1,206 @@
+// @ts-check
+
+import { GetSecretValueCommand, SecretsManagerClient } from "@aws-sdk/client-secrets-manager";
+import { GetParameterCommand, SSMClient } from "@aws-sdk/client-ssm";
+
+import {
+  describeCredentialsError,
+  describeCredentialsSource,
+  getArnRegion,
+  getAwsClientConfig,
+} from "./aws-credentials.js";
+import { createLoadedPrivateKeyAppAuth } from "./loaded-private-key-auth.js";
+
+/**
+ * @typedef {import("./aws-credentials.js").AwsCredentialOptions & {
+ *   privateKeySecretArn?: string,
+ *   privateKeySsmParameter?: string,
+ *   privateKeyJsonField?: string,
+ *   privateKeyVersionStage?: string,
+ *   awsRegion?: string,
+ * }} AwsSecretPrivateKeyOptions
+ *
+ * Exactly one of `privateKeySecretArn` (Secrets Manager secret ARN or name) and
+ * `privateKeySsmParameter` (SSM parameter name or ARN) is set. `privateKeyVersionStage`
+ * is the staging label of the secret version, or the label of the parameter version.
+ */
+
+/**
+ * Translate an AWS SDK error of Secrets Manager or SSM into an error that explains how to fix it
+ * @param {any} error - Error thrown by the AWS SDK
+ * @param {AwsSecretPrivateKeyOptions & { source: string, action: string }} context - Options,
+ *   the secret or parameter and the IAM action of the failed request
+ * @returns {Error}
+ */
+function describeSecretError(error, { source, action, ...options }) {
+  const input = options.privateKeySecretArn ? "private-key-secret-arn" : "private-key-ssm-parameter";
+
+  let message;
+  switch (error.name) {
+    case "AccessDeniedException":
+      message = `Access denied to ${source}. The IAM principal from ${describeCredentialsSource(options)} must be allowed to perform '${action}' on it, and 'kms:Decrypt' on its KMS key if it is encrypted with a customer managed key.`;
+      break;
+    case "ResourceNotFoundException":
+    case "ParameterNotFound":
+    case "ParameterVersionNotFound":
+      message = `${source} was not found. Check '${input}'${options.privateKeyVersionStage ? " and 'private-key-version-stage'" : ""}, and that it exists in the account and region of the credentials from ${describeCredentialsSource(options)}.`;
+      break;
+    case "DecryptionFailure":
+    case "InvalidKeyId":
+      message = `${source} could not be decrypted with its KMS key. Make sure the key is enabled and the IAM principal is allowed to perform 'kms:Decrypt' on it.`;
+      break;
+    case "CredentialsProviderError":
+    case "UnrecognizedClientException":
+    case "ExpiredTokenException":
+      message = describeCredentialsError(options);
+      break;
+    default:
+      return error;
+  }
+
+  return new Error(`${message} (${error.name}: ${error.message})`, { cause: error });
+}
+
+/**
+ * Read the value of a Secrets Manager secret
+ * @param {AwsSecretPrivateKeyOptions & { privateKeySecretArn: string }} options
+ * @param {string} source - The secret, for error messages
+ * @returns {Promise<string>}
+ */
+async function getSecretValue(options, source) {
+  const { privateKeySecretArn, privateKeyVersionStage, awsRegion } = options;
+  const client = new SecretsManagerClient(
+    getAwsClientConfig({ ...options, region: awsRegion || getArnRegion(privateKeySecretArn) })
+  );
+
+  let response;
+  try {
+    response = await client.send(
+      new GetSecretValueCommand({
+        SecretId: privateKeySecretArn,
+        VersionStage: privateKeyVersionStage,
+      })
+    );
+  } catch (error) {
+    throw describeSecretError(error, {
+      ...options,
+      source,
+      action: "secretsmanager:GetSecretValue",
+    });
+  }
+
+  if (response.SecretString !== undefined) {
+    return response.SecretString;
+  }
+  if (response.SecretBinary) {
+    return Buffer.from(response.SecretBinary).toString("utf8");
+  }
+  throw new Error(`${source} has no value`);
+}
+
+/**
+ * Read the decrypted value of an SSM parameter
+ * @param {AwsSecretPrivateKeyOptions & { privateKeySsmParameter: string }} options
+ * @param {string} source - The parameter, for error messages
+ * @returns {Promise<string>}
+ */
+async function getParameterValue(options, source) {
+  const { privateKeySsmParameter, privateKeyVersionStage, awsRegion } = options;
+  const client = new SSMClient(
+    getAwsClientConfig({ ...options, region: awsRegion || getArnRegion(privateKeySsmParameter) })
+  );
+
+  let response;
+  try {
+    response = await client.send(
+      new GetParameterCommand({
+        // Parameter versions are selected with a `NAME:LABEL` selector
+        Name: privateKeyVersionStage
+          ? `${privateKeySsmParameter}:${privateKeyVersionStage}`
+          : privateKeySsmParameter,
+        WithDecryption: true,
+      })
+    );
+  } catch (error) {
+    throw describeSecretError(error, { ...options, source, action: "ssm:GetParameter" });
+  }
+
+  if (response.Parameter?.Value === undefined) {
+    throw new Error(`${source} has no value`);
+  }
+  return response.Parameter.Value;
+}
+
+/**
+ * Select the private key from the value of a secret or parameter
+ * @param {string} value - Value of the secret or parameter
+ * @param {string | undefined} jsonField - Field of a JSON value that holds the private key
+ * @param {string} source - The secret or parameter, for error messages
+ * @returns {string}
+ */
+function selectPrivateKey(value, jsonField, source) {
+  if (!jsonField) {
+    if (value.trimStart().startsWith("{")) {
+      throw new Error(
+        `${source} holds a JSON value. Set 'private-key-json-field' to the field with the private key.`
+      );
+    }
+    return value;
+  }
+
+  // Parse errors are not included, as they quote the value
+  let data;
+  try {
+    data = JSON.parse(value);
+  } catch {
+    throw new Error(
+      `${source} does not hold a JSON value, so 'private-key-json-field' cannot be used`
+    );
+  }
+
+  if (typeof data?.[jsonField] !== "string") {
+    throw new Error(
+      `${source} has no string field '${jsonField}'. Check 'private-key-json-field'.`
+    );
+  }
+  return data[jsonField];
+}
+
+/**
+ * Create an app auth instance that signs with a private key stored in AWS Secrets
+ * Manager or SSM Parameter Store. The key is read in memory on first use, so it is not
+ * exposed to other steps of the job.
+ * @param {AwsSecretPrivateKeyOptions & {
+ *   appId: string,
+ *   request: import("@octokit/request").request,
+ *   setSecret: (secret: string) => void,
+ * }} options - The secret or parameter and AWS options, the GitHub App ID, an Octokit
+ *   request instance and a function that masks secrets in the logs
+ * @returns {Function}
+ */
+export function createAwsSecretPrivateKeyAppAuth({ appId, request, setSecret, ...options }) {
+  const { privateKeySecretArn, privateKeySsmParameter, privateKeyJsonField } = options;
+
+  const source = privateKeySecretArn
+    ? `Secrets Manager secret '${privateKeySecretArn}'`
+    : `SSM parameter '${privateKeySsmParameter}'`;
+
+  return createLoadedPrivateKeyAppAuth({
+    appId,
+    request,
+    setSecret,
+    source,
+    loadPrivateKey: async () => {
+      const value = privateKeySecretArn
+        ? await getSecretValue({ ...options, privateKeySecretArn }, source)
+        : await getParameterValue(
+            { ...options, privateKeySsmParameter: String(privateKeySsmParameter) },
+            source
+          );
+
+      // Mask the whole value, which may hold other secrets next to the private key
+      setSecret(value);
+      return selectPrivateKey(value, privateKeyJsonField, source);
+    },
+  });
+}
@@ -0,0 +1,264 @@
+// @ts-check
+
+import { createHash } from "node:crypto";
+
+import { HttpError } from "./http-error.js";
+import { memoizeUntilFailure } from "./memoize-until-failure.js";
+import { fetch } from "./request.js";
+import { createSignerAppAuth } from "./signer-auth.js";
+
+const KEY_VAULT_API_VERSION = "7.4";
+
+const DEFAULT_KEY_VAULT_RESOURCE = "https://vault.azure.net";
+
+const AZURE_AUTHORITY_HOST = "https://login.microsoftonline.com";
+
+// Audience Microsoft Entra ID expects for GitHub OIDC tokens used as federated credentials
+const OIDC_AUDIENCE = "api://AzureADTokenExchange";
+
+// Instance Metadata Service endpoint for managed identity tokens
+const IMDS_TOKEN_URL = "http://169.254.169.254/metadata/identity/oauth2/token";
+
+/**
+ * @typedef {Object} AzureKeyVaultOptions
+ * @property {string} azureKeyVaultKeyId - Key identifier, `https://VAULT.vault.azure.net/keys/NAME[/VERSION]`
+ * @property {string} [azureClientId] - Client ID of the app registration or user-assigned managed identity
+ * @property {string} [azureTenantId] - Tenant ID for federated credentials. Without it, a managed identity is used.
+ * @property {(audience: string) => Promise<string>} [getIDToken] - Returns a GitHub OIDC token (required with `azureTenantId`)
+ */
+
+/**
+ * Send a request to an Azure API and return the response body
+ * @param {string} url - API URL
+ * @param {RequestInit} init - Fetch options
+ * @param {typeof fetch} [fetchImplementation] - Defaults to sending the request through the
+ *   proxy of the GitHub requests
+ * @returns {Promise<any>}
+ */
+async function azureRequest(url, init, fetchImplementation = fetch) {
+  let response;
+  try {
+    response = await fetchImplementation(url, init);
+  } catch (error) {
+    throw new Error(`${new URL(url).origin} is unreachable: ${error.cause?.message ?? error.message}`, {
+      cause: error,
+    });
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    // Microsoft Entra ID and the Instance Metadata Service return OAuth errors,
+    // Key Vault returns `error.code` and `error.message`
+    const message =
+      data.error_description?.split(/\r?\n/)[0] ??
+      (data.error?.code ? `${data.error.code}: ${data.error.message}` : undefined) ??
+      response.statusText;
+    throw new HttpError(message, response.status, data);
+  }
+
+  return data;
+}
+
+/**
+ * Return the resource of the key's vault, so tokens work for sovereign clouds and
+ * Managed HSM, e.g. `https://vault.azure.net` for `https://NAME.vault.azure.net/keys/...`.
+ * Other hosts, such as a local stand-in, use the public cloud resource.
+ * @param {string} azureKeyVaultKeyId
+ * @returns {string}
+ */
+function getKeyVaultResource(azureKeyVaultKeyId) {
+  const [, resourceHost] =
+    new URL(azureKeyVaultKeyId).hostname.match(/^[^.]+\.((?:vault|managedhsm)\..+)$/) ?? [];
+  return resourceHost ? `https://${resourceHost}` : DEFAULT_KEY_VAULT_RESOURCE;
+}
+
+/**
+ * Get an access token with the GitHub OIDC token as federated credential of an app registration
+ * @param {Required<Omit<AzureKeyVaultOptions, "azureKeyVaultKeyId">>} options
+ * @param {string} resource - Key Vault resource
+ * @returns {Promise<string>}
+ */
+async function getFederatedAccessToken({ azureClientId, azureTenantId, getIDToken }, resource) {
+  let clientAssertion;
+  try {
+    clientAssertion = await getIDToken(OIDC_AUDIENCE);
+  } catch (error) {
+    throw new Error(
+      `Could not get a GitHub OIDC token for the Azure federated credential. Make sure the job has the 'id-token: write' permission. (${error.message})`,
+      { cause: error }
+    );
+  }
+
+  try {
+    const { access_token } = await azureRequest(
+      `${AZURE_AUTHORITY_HOST}/${azureTenantId}/oauth2/v2.0/token`,
+      {
+        method: "POST",
+        body: new URLSearchParams({
+          client_id: azureClientId,
+          grant_type: "client_credentials",
+          client_assertion_type: "urn:ietf:params:oauth:client-assertion-type:jwt-bearer",
+          client_assertion: clientAssertion,
+          scope: `${resource}/.default`,
+        }),
+      }
+    );
+    return access_token;
+  } catch (error) {
+    throw new Error(
+      `Could not get an Azure access token for client '${azureClientId}' in tenant '${azureTenantId}' with the GitHub OIDC token. Make sure the app registration has a federated credential for this repository. (${error.message})`,
+      { cause: error }
+    );
+  }
+}
+
+/**
+ * Get an access token for the managed identity of the runner
+ * @param {Pick<AzureKeyVaultOptions, "azureClientId">} options
+ * @param {string} resource - Key Vault resource
+ * @returns {Promise<string>}
+ */
+async function getManagedIdentityAccessToken({ azureClientId }, resource) {
+  const query = new URLSearchParams({ "api-version": "2018-02-01", resource });
+  if (azureClientId) {
+    query.set("client_id", azureClientId);
+  }
+
+  try {
+    // The Instance Metadata Service is only reachable from the VM itself, not through a proxy
+    const { access_token } = await azureRequest(
+      `${IMDS_TOKEN_URL}?${query}`,
+      { headers: { metadata: "true" } },
+      globalThis.fetch
+    );
+    return access_token;
+  } catch (error) {
+    throw new Error(
+      `Could not get an Azure access token for the ${azureClientId ? `managed identity '${azureClientId}'` : "runner's managed identity"}. Set 'azure-tenant-id' and 'azure-client-id' to use a federated credential instead. (${error.message})`,
+      { cause: error }
+    );
+  }
+}
+
+/**
+ * Create a function that returns an Azure access token for Key Vault, requested once per run
+ * @param {AzureKeyVaultOptions} options
+ * @returns {() => Promise<string>}
+ */
+function createAzureAccessTokenProvider(options) {
+  const { azureKeyVaultKeyId, azureClientId, azureTenantId, getIDToken } = options;
+  const resource = getKeyVaultResource(azureKeyVaultKeyId);
+
+  if (azureTenantId && !azureClientId) {
+    throw new Error("'azure-client-id' is required when 'azure-tenant-id' is provided");
+  }
+
+  if (azureTenantId && !getIDToken) {
+    throw new Error("getIDToken is required for Azure federated credentials");
+  }
+
+  return memoizeUntilFailure(() =>
+    azureTenantId
+      ? getFederatedAccessToken(
+          /** @type {Required<Omit<AzureKeyVaultOptions, "azureKeyVaultKeyId">>} */ (options),
+          resource
+        )
+      : getManagedIdentityAccessToken(options, resource)
+  );
+}
+
+/**
+ * Translate a Key Vault error into an error that says what needs fixing
+ * @param {any} error - Error thrown by `azureRequest`
+ * @param {string} azureKeyVaultKeyId
+ * @returns {Error}
+ */
+function describeKeyVaultError(error, azureKeyVaultKeyId) {
+  if (error.status === 403) {
+    return new Error(
+      `Access denied to sign with Key Vault key ${azureKeyVaultKeyId}. Assign the 'Key Vault Crypto User' role on the key, or allow the 'sign' key permission in the vault's access policy. (${error.message})`,
+      { cause: error }
+    );
+  }
+
+  if (error.status === 404) {
+    return new Error(
+      `Key Vault key ${azureKeyVaultKeyId} was not found. Check 'azure-key-vault-key-id'. (${error.message})`,
+      { cause: error }
+    );
+  }
+
+  return new Error(`Key Vault could not sign with key ${azureKeyVaultKeyId} (${error.message})`, {
+    cause: error,
+  });
+}
+
+/**
+ * Create a signing function that uses the Key Vault `sign` operation with RS256.
+ * Key Vault signs a digest, so the SHA-256 digest of the JWT signing input is sent.
+ * @param {AzureKeyVaultOptions} options
+ * @returns {(payload: string) => Promise<string>} Returns the base64url signature
+ */
+function createAzureKeyVaultSigner(options) {
+  const { azureKeyVaultKeyId } = options;
+  const getAccessToken = createAzureAccessTokenProvider(options);
+  const signUrl = `${azureKeyVaultKeyId.replace(/\/+$/, "")}/sign?api-version=${KEY_VAULT_API_VERSION}`;
+
+  return async (payload) => {
+    const accessToken = await getAccessToken();
+
+    let response;
+    try {
+      response = await azureRequest(signUrl, {
+        method: "POST",
+        headers: {
+          authorization: `Bearer ${accessToken}`,
+          "content-type": "application/json",
+        },
+        body: JSON.stringify({
+          alg: "RS256",
+          value: createHash("sha256").update(payload).digest("base64url"),
+        }),
+      });
+    } catch (error) {
+      throw describeKeyVaultError(error, azureKeyVaultKeyId);
+    }
+
+    if (!response.value) {
+      throw new Error(`Key Vault returned no signature for key ${azureKeyVaultKeyId}`);
+    }
+
+    // Key Vault already returns base64url, normalise in case of padding
+    return Buffer.from(response.value, "base64url").toString("base64url");
+  };
+}
+
+/**
+ * Create an app auth instance that uses an Azure Key Vault key for signing
+ * @param {AzureKeyVaultOptions & {
+ *   appId: string,
+ *   request: import("@octokit/request").request,
+ *   log?: { warn: (message: string) => void },
+ * }} options - Key Vault options, the GitHub App ID, an Octokit request instance and a
+ *   logger for clock skew warnings (defaults to console)
+ * @returns {Function}
+ */
+export function createAzureKeyVaultAppAuth({ appId, request, log, ...options }) {
+  if (!URL.canParse(options.azureKeyVaultKeyId) || !/\/keys\/[^/]+/.test(options.azureKeyVaultKeyId)) {
+    throw new Error(
+      `'azure-key-vault-key-id' must be a key identifier like 'https://VAULT.vault.azure.net/keys/NAME', got '${options.azureKeyVaultKeyId}'`
+    );
+  }
+
+  return createSignerAppAuth({
+    appId,
+    request,
+    log,
+    signers: [
+      {
+        name: options.azureKeyVaultKeyId,
+        sign: createAzureKeyVaultSigner(options),
+      },
+    ],
+  });
+}
@@ -0,0 +1,134 @@
+// @ts-check
+
+import { spawn } from "node:child_process";
+
+import { createSignerAppAuth } from "./signer-auth.js";
+
+const DEFAULT_TIMEOUT_SECONDS = 30;
+
+// Standard or URL-safe base64, with or without padding
+const BASE64_PATTERN = /^[A-Za-z0-9+/_-]+={0,2}$/;
+
+/**
+ * @typedef {Object} CommandSignerOptions
+ * @property {string} signerCommand - Shell command that reads the JWT signing input on stdin and prints the signature
+ * @property {number} [signerTimeout] - Seconds to wait for the command (defaults to 30)
+ */
+
+/**
+ * Run the signer command with the payload on stdin
+ * @param {string} signerCommand
+ * @param {string} payload
+ * @param {number} timeoutSeconds
+ * @returns {Promise<{ code: number | null, stdout: string, stderr: string, timedOut: boolean }>}
+ */
+function runSignerCommand(signerCommand, payload, timeoutSeconds) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(signerCommand, { shell: true, stdio: ["pipe", "pipe", "pipe"] });
+
+    let stdout = "";
+    let stderr = "";
+    child.stdout.on("data", (chunk) => (stdout += chunk));
+    child.stderr.on("data", (chunk) => (stderr += chunk));
+
+    // Do not wait for "close" after a timeout: processes started by the command
+    // may keep its output open
+    const timer = setTimeout(() => {
+      child.kill("SIGKILL");
+      child.stdout.destroy();
+      child.stderr.destroy();
+      resolve({ code: null, stdout, stderr, timedOut: true });
+    }, timeoutSeconds * 1000);
+
+    // Commands that do not read stdin close it early, which is not an error
+    child.stdin.on("error", () => {});
+    child.stdin.end(payload);
+
+    /* c8 ignore next 4 */
+    child.on("error", (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      resolve({ code, stdout, stderr, timedOut: false });
+    });
+  });
+}
+
+/**
+ * Create a signing function that runs an external command. The command receives the
+ * JWT signing input (`header.payload`) on stdin and prints the base64 or base64url
+ * RS256 signature to stdout.
+ * @param {CommandSignerOptions} options
+ * @returns {(payload: string) => Promise<string>} Returns the base64url signature
+ */
+function createCommandSigner({ signerCommand, signerTimeout = DEFAULT_TIMEOUT_SECONDS }) {
+  return async (payload) => {
+    let result;
+    try {
+      result = await runSignerCommand(signerCommand, payload, signerTimeout);
+      /* c8 ignore next 3 */
+    } catch (error) {
+      throw new Error(`Could not run 'signer-command' (${error.message})`, { cause: error });
+    }
+
+    const { code, stdout, stderr, timedOut } = result;
+
+    if (timedOut) {
+      throw new Error(`'signer-command' did not finish within ${signerTimeout} seconds`);
+    }
+
+    if (code !== 0) {
+      throw new Error(
+        `'signer-command' failed with exit code ${code}: ${stderr.trim() || "no output on stderr"}`
+      );
+    }
+
+    const signature = stdout.trim();
+    if (!BASE64_PATTERN.test(signature)) {
+      throw new Error(
+        signature
+          ? "'signer-command' did not print a base64 or base64url signature"
+          : "'signer-command' printed no signature"
+      );
+    }
+
+    // Node's base64 decoder accepts both alphabets
+    return Buffer.from(signature, "base64").toString("base64url");
+  };
+}
+
+/**
+ * Create an app auth instance that signs with an external command, so any key custody
+ * system can be integrated
+ * @param {CommandSignerOptions & {
+ *   appId: string,
+ *   request: import("@octokit/request").request,
+ *   log?: { warn: (message: string) => void },
+ * }} options - The signer command and its timeout, the GitHub App ID, an Octokit request
+ *   instance and a logger for clock skew warnings (defaults to console)
+ * @returns {Function}
+ */
+export function createCommandSignerAppAuth({ appId, request, log, ...options }) {
+  if (
+    options.signerTimeout !== undefined &&
+    !(Number.isFinite(options.signerTimeout) && options.signerTimeout > 0)
+  ) {
+    throw new Error(
+      `'signer-timeout' must be a positive number of seconds, got '${options.signerTimeout}'`
+    );
+  }
+
+  return createSignerAppAuth({
+    appId,
+    request,
+    log,
+    signers: [
+      {
+        name: "signer-command",
+        sign: createCommandSigner(options),
+      },
+    ],
+  });
+}
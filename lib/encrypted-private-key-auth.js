@@ -0,0 +1,80 @@
+// @ts-check
+
+import { decryptWithKms } from "./kms-auth.js";
+import { createLoadedPrivateKeyAppAuth } from "./loaded-private-key-auth.js";
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+/**
+ * @typedef {Omit<import("./kms-auth.js").KmsOptions, "kmsKeyArn"> & {
+ *   encryptedPrivateKey: string,
+ *   encryptionContext?: string[],
+ * }} EncryptedPrivateKeyOptions
+ *
+ * `encryptedPrivateKey` is the base64 ciphertext blob of the PEM private key, returned by
+ * KMS `Encrypt`. `encryptionContext` holds the `KEY=VALUE` pairs it was encrypted with.
+ */
+
+/**
+ * Parse `KEY=VALUE` pairs into a KMS encryption context
+ * @param {string[]} pairs
+ * @returns {Record<string, string> | undefined}
+ */
+function parseEncryptionContext(pairs) {
+  if (pairs.length === 0) {
+    return undefined;
+  }
+
+  return Object.fromEntries(
+    pairs.map((pair) => {
+      const separator = pair.indexOf("=");
+      if (separator < 1) {
+        throw new Error(
+          `'encrypted-private-key-context' must be a list of KEY=VALUE pairs, got '${pair}'`
+        );
+      }
+      return [pair.slice(0, separator).trim(), pair.slice(separator + 1).trim()];
+    })
+  );
+}
+
+/**
+ * Create an app auth instance that signs with a private key encrypted with AWS KMS.
+ * The key is decrypted in memory on first use.
+ * @param {EncryptedPrivateKeyOptions & {
+ *   appId: string,
+ *   request: import("@octokit/request").request,
+ *   setSecret: (secret: string) => void,
+ * }} options - The encrypted key and KMS options, the GitHub App ID, an Octokit request
+ *   instance and a function that masks secrets in the logs
+ * @returns {Function}
+ */
+export function createEncryptedPrivateKeyAppAuth({
+  appId,
+  request,
+  setSecret,
+  encryptedPrivateKey,
+  encryptionContext = [],
+  ...kmsOptions
+}) {
+  const ciphertext = encryptedPrivateKey.replace(/\s/g, "");
+  if (!BASE64_PATTERN.test(ciphertext)) {
+    throw new Error("'encrypted-private-key' must be a base64 KMS ciphertext blob");
+  }
+  const context = parseEncryptionContext(encryptionContext);
+
+  return createLoadedPrivateKeyAppAuth({
+    appId,
+    request,
+    setSecret,
+    source: "'encrypted-private-key'",
+    loadPrivateKey: async () => {
+      const plaintext = await decryptWithKms({
+        ...kmsOptions,
+        ciphertext: Buffer.from(ciphertext, "base64"),
+        encryptionContext: context,
+      });
+      return plaintext.toString("utf8");
+    },
+  });
+}
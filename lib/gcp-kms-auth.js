@@ -0,0 +1,304 @@
+// @ts-check
+
+import { createHash } from "node:crypto";
+
+import { GoogleAuth } from "google-auth-library";
+
+import { HttpError } from "./http-error.js";
+import { memoizeUntilFailure } from "./memoize-until-failure.js";
+import { fetch } from "./request.js";
+import { createSignerAppAuth } from "./signer-auth.js";
+
+const CLOUD_KMS_API_URL = "https://cloudkms.googleapis.com/v1";
+
+const STS_TOKEN_URL = "https://sts.googleapis.com/v1/token";
+
+const CLOUD_PLATFORM_SCOPE = "https://www.googleapis.com/auth/cloud-platform";
+
+// Token type of the GitHub OIDC token exchanged with Google's Security Token Service
+const OIDC_SUBJECT_TOKEN_TYPE = "urn:ietf:params:oauth:token-type:jwt";
+
+const KEY_VERSION_PATTERN =
+  /^projects\/[^/]+\/locations\/[^/]+\/keyRings\/[^/]+\/cryptoKeys\/[^/]+\/cryptoKeyVersions\/[^/]+$/;
+
+const WORKLOAD_IDENTITY_PROVIDER_PATTERN =
+  /^projects\/[^/]+\/locations\/global\/workloadIdentityPools\/[^/]+\/providers\/[^/]+$/;
+
+/**
+ * @typedef {Object} GcpKmsOptions
+ * @property {string} gcpKmsKeyVersion - Resource name of the Cloud KMS key version, `projects/P/locations/L/keyRings/R/cryptoKeys/K/cryptoKeyVersions/V`
+ * @property {string} [gcpWorkloadIdentityProvider] - Workload Identity Provider to exchange the GitHub OIDC token with, `projects/N/locations/global/workloadIdentityPools/P/providers/X`
+ * @property {string} [gcpServiceAccount] - Service account to impersonate after the exchange
+ * @property {(audience: string) => Promise<string>} [getIDToken] - Returns a GitHub OIDC token (required with `gcpWorkloadIdentityProvider`)
+ */
+
+/**
+ * Send a JSON POST request to a Google API and return the response body
+ * @param {string} url - API URL
+ * @param {Object} body - JSON request body
+ * @param {Record<string, string>} [headers] - Additional request headers
+ * @returns {Promise<any>}
+ */
+async function googleApiRequest(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "content-type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    // Google's Security Token Service returns OAuth errors, the other APIs return `error.message`
+    throw new HttpError(
+      data.error?.message ?? data.error_description ?? data.error ?? response.statusText,
+      response.status,
+      data
+    );
+  }
+
+  return data;
+}
+
+/**
+ * Exchange a GitHub OIDC token for a Google Cloud access token with Workload Identity
+ * Federation, optionally impersonating a service account with the federated token
+ * @param {Required<Pick<GcpKmsOptions, "gcpWorkloadIdentityProvider" | "getIDToken">> & Pick<GcpKmsOptions, "gcpServiceAccount">} options
+ * @returns {Promise<string>}
+ */
+async function getWorkloadIdentityAccessToken({
+  gcpWorkloadIdentityProvider,
+  gcpServiceAccount,
+  getIDToken,
+}) {
+  const audience = `//iam.googleapis.com/${gcpWorkloadIdentityProvider}`;
+
+  let subjectToken;
+  try {
+    // The same audience as google-github-actions/auth, so existing providers work
+    subjectToken = await getIDToken(`https:${audience}`);
+  } catch (error) {
+    throw new Error(
+      `Could not get a GitHub OIDC token for the Workload Identity Provider '${gcpWorkloadIdentityProvider}'. Make sure the job has the 'id-token: write' permission. (${error.message})`,
+      { cause: error }
+    );
+  }
+
+  let federatedToken;
+  try {
+    ({ access_token: federatedToken } = await googleApiRequest(STS_TOKEN_URL, {
+      grantType: "urn:ietf:params:oauth:grant-type:token-exchange",
+      audience,
+      scope: CLOUD_PLATFORM_SCOPE,
+      requestedTokenType: "urn:ietf:params:oauth:token-type:access_token",
+      subjectToken,
+      subjectTokenType: OIDC_SUBJECT_TOKEN_TYPE,
+    }));
+  } catch (error) {
+    throw new Error(
+      `Could not exchange the GitHub OIDC token with the Workload Identity Provider '${gcpWorkloadIdentityProvider}'. Make sure the provider's attribute condition allows this repository. (${error.message})`,
+      { cause: error }
+    );
+  }
+
+  if (!gcpServiceAccount) {
+    return federatedToken;
+  }
+
+  try {
+    const { accessToken } = await googleApiRequest(
+      `https://iamcredentials.googleapis.com/v1/projects/-/serviceAccounts/${gcpServiceAccount}:generateAccessToken`,
+      { scope: [CLOUD_PLATFORM_SCOPE] },
+      { authorization: `Bearer ${federatedToken}` }
+    );
+    return accessToken;
+  } catch (error) {
+    throw new Error(
+      `Could not impersonate the service account '${gcpServiceAccount}'. Grant the workload identity the 'roles/iam.workloadIdentityUser' role on it. (${error.message})`,
+      { cause: error }
+    );
+  }
+}
+
+/**
+ * Create a function that returns a Google Cloud access token. With
+ * `gcpWorkloadIdentityProvider`, the GitHub OIDC token is exchanged once per run,
+ * otherwise application default credentials are used.
+ * @param {Omit<GcpKmsOptions, "gcpKmsKeyVersion">} options
+ * @returns {() => Promise<string>}
+ */
+function createGcpAccessTokenProvider({ gcpWorkloadIdentityProvider, gcpServiceAccount, getIDToken }) {
+  if (!gcpWorkloadIdentityProvider) {
+    const googleAuth = new GoogleAuth({
+      scopes: [CLOUD_PLATFORM_SCOPE],
+      // Send token requests through the proxy of the GitHub requests, like all other requests
+      clientOptions: { transporterOptions: { fetchImplementation: fetch } },
+    });
+
+    return async () => {
+      let token;
+      try {
+        token = await googleAuth.getAccessToken();
+      } catch (error) {
+        throw new Error(
+          `Could not get Google Cloud credentials from application default credentials. Set 'gcp-workload-identity-provider', or authenticate with google-github-actions/auth before this step. (${error.message})`,
+          { cause: error }
+        );
+      }
+      // Only happens with custom credential types
+      /* c8 ignore next 3 */
+      if (!token) {
+        throw new Error("Application default credentials returned no access token");
+      }
+      return token;
+    };
+  }
+
+  if (!getIDToken) {
+    throw new Error("getIDToken is required for Workload Identity Federation");
+  }
+
+  // Exchange the OIDC token once per run
+  return memoizeUntilFailure(() =>
+    getWorkloadIdentityAccessToken({
+      gcpWorkloadIdentityProvider,
+      gcpServiceAccount,
+      getIDToken,
+    })
+  );
+}
+
+/**
+ * Describe where Google Cloud credentials come from, for error messages
+ * @param {Omit<GcpKmsOptions, "gcpKmsKeyVersion">} options
+ * @returns {string}
+ */
+function describeGcpCredentialsSource({ gcpWorkloadIdentityProvider, gcpServiceAccount }) {
+  if (!gcpWorkloadIdentityProvider) {
+    return "application default credentials";
+  }
+
+  const source = `the Workload Identity Provider '${gcpWorkloadIdentityProvider}'`;
+  return gcpServiceAccount
+    ? `${source} and the service account '${gcpServiceAccount}'`
+    : source;
+}
+
+/**
+ * Translate a Cloud KMS error response into an error that says what needs fixing
+ * @param {any} error - Error thrown by `googleApiRequest`
+ * @param {GcpKmsOptions} options
+ * @returns {Error}
+ */
+function describeGcpKmsError(error, options) {
+  const { gcpKmsKeyVersion } = options;
+  const apiStatus = error.data?.error?.status ?? error.status;
+  const details = `(${apiStatus}: ${error.message})`;
+
+  if (error.status === 403) {
+    return new Error(
+      `Access denied to sign with Cloud KMS key version ${gcpKmsKeyVersion} using ${describeGcpCredentialsSource(options)}. Grant the 'roles/cloudkms.signer' role (permission 'cloudkms.cryptoKeyVersions.useToSign') on the key. ${details}`,
+      { cause: error }
+    );
+  }
+
+  if (error.status === 404) {
+    return new Error(
+      `Cloud KMS key version ${gcpKmsKeyVersion} was not found. Check 'gcp-kms-key-version'. ${details}`,
+      { cause: error }
+    );
+  }
+
+  if (apiStatus === "FAILED_PRECONDITION") {
+    return new Error(
+      `Cloud KMS key version ${gcpKmsKeyVersion} cannot be used for signing. Make sure it is enabled. ${details}`,
+      { cause: error }
+    );
+  }
+
+  if (apiStatus === "INVALID_ARGUMENT") {
+    return new Error(
+      `Cloud KMS key version ${gcpKmsKeyVersion} rejected the signing request. Its algorithm must be 'RSA_SIGN_PKCS1_2048_SHA256' or another 'RSA_SIGN_PKCS1_*_SHA256'. ${details}`,
+      { cause: error }
+    );
+  }
+
+  return new Error(`Cloud KMS could not sign with key version ${gcpKmsKeyVersion} ${details}`, {
+    cause: error,
+  });
+}
+
+/**
+ * Create a signing function that uses Cloud KMS `asymmetricSign`. Cloud KMS signs
+ * a digest, so the SHA-256 digest of the JWT signing input is sent.
+ * @param {GcpKmsOptions} options
+ * @returns {(payload: string) => Promise<string>} Returns the base64url signature
+ */
+function createGcpKmsSigner(options) {
+  const { gcpKmsKeyVersion } = options;
+  const getAccessToken = createGcpAccessTokenProvider(options);
+
+  return async (payload) => {
+    const accessToken = await getAccessToken();
+    const digest = createHash("sha256").update(payload).digest("base64");
+
+    let response;
+    try {
+      response = await googleApiRequest(
+        `${CLOUD_KMS_API_URL}/${gcpKmsKeyVersion}:asymmetricSign`,
+        { digest: { sha256: digest } },
+        { authorization: `Bearer ${accessToken}` }
+      );
+    } catch (error) {
+      throw describeGcpKmsError(error, options);
+    }
+
+    if (!response.signature) {
+      throw new Error(`Cloud KMS returned no signature for key version ${gcpKmsKeyVersion}`);
+    }
+
+    return Buffer.from(response.signature, "base64").toString("base64url");
+  };
+}
+
+/**
+ * Create an app auth instance that uses a Google Cloud KMS key version for signing
+ * @param {GcpKmsOptions & {
+ *   appId: string,
+ *   request: import("@octokit/request").request,
+ *   log?: { warn: (message: string) => void },
+ * }} options - Cloud KMS options, the GitHub App ID, an Octokit request instance and a
+ *   logger for clock skew warnings (defaults to console)
+ * @returns {Function}
+ */
+export function createGcpKmsAppAuth({ appId, request, log, ...options }) {
+  if (!KEY_VERSION_PATTERN.test(options.gcpKmsKeyVersion)) {
+    throw new Error(
+      `'gcp-kms-key-version' must be a key version resource name like 'projects/PROJECT/locations/LOCATION/keyRings/RING/cryptoKeys/KEY/cryptoKeyVersions/VERSION', got '${options.gcpKmsKeyVersion}'`
+    );
+  }
+
+  if (
+    options.gcpWorkloadIdentityProvider &&
+    !WORKLOAD_IDENTITY_PROVIDER_PATTERN.test(options.gcpWorkloadIdentityProvider)
+  ) {
+    throw new Error(
+      `'gcp-workload-identity-provider' must be a provider resource name like 'projects/NUMBER/locations/global/workloadIdentityPools/POOL/providers/PROVIDER', got '${options.gcpWorkloadIdentityProvider}'`
+    );
+  }
+
+  if (options.gcpServiceAccount && !options.gcpWorkloadIdentityProvider) {
+    throw new Error("'gcp-service-account' requires 'gcp-workload-identity-provider'");
+  }
+
+  return createSignerAppAuth({
+    appId,
+    request,
+    log,
+    signers: [
+      {
+        name: options.gcpKmsKeyVersion,
+        sign: createGcpKmsSigner(options),
+      },
+    ],
+  });
+}
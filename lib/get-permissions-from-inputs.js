@@ -1,17 +1,22 @@
+import YAML from "yaml";
+
 /**
- * Finds all permissions passed via `permision-*` inputs and turns them into an object.
+ * Finds all permissions passed via the `permissions` input and `permision-*` inputs and
+ * turns them into an object. A `permission-*` input takes precedence over the same
+ * permission in `permissions`.
  *
  * @see https://docs.github.com/en/actions/sharing-automations/creating-actions/metadata-syntax-for-github-actions#inputs
  * @param {NodeJS.ProcessEnv} env
  * @returns {undefined | Record<string, string>}
  */
 export function getPermissionsFromInputs(env) {
-  return Object.entries(env).reduce((permissions, [key, value]) => {
+  const permissionsFromInput = getPermissionsFromInput(env.INPUT_PERMISSIONS ?? "");
+
+  const permissionsFromInputs = Object.entries(env).reduce((permissions, [key, value]) => {
     if (!key.startsWith("INPUT_PERMISSION-")) return permissions;
     if (!value) return permissions;
 
-    const permission = key.slice("INPUT_PERMISSION-".length).toLowerCase()
-      .replaceAll(/-/g, "_");
+    const permission = normalizePermissionName(key.slice("INPUT_PERMISSION-".length));
 
     // Inherit app permissions if no permissions inputs are set
     if (permissions === undefined) {
@@ -24,4 +29,65 @@ export function getPermissionsFromInputs(env) {
       [permission]: value,
     };
   }, undefined);
+
+  if (permissionsFromInput === undefined && permissionsFromInputs === undefined) {
+    return undefined;
+  }
+
+  return { ...permissionsFromInput, ...permissionsFromInputs };
+}
+
+/**
+ * Turns a permission name as written in inputs, e.g. `Pull-Requests`, into the name
+ * used by the GitHub API, e.g. `pull_requests`.
+ *
+ * @param {string} permission
+ * @returns {string}
+ */
+export function normalizePermissionName(permission) {
+  return permission.toLowerCase().replaceAll("-", "_");
+}
+
+/**
+ * Parses the `permissions` input, a YAML or JSON map of permission names to access levels.
+ *
+ * @param {string} input - Value of the `permissions` input
+ * @returns {undefined | Record<string, string>}
+ */
+function getPermissionsFromInput(input) {
+  if (!input.trim()) {
+    return undefined;
+  }
+
+  let permissions;
+  try {
+    permissions = YAML.parse(input);
+  } catch (error) {
+    throw new Error(`'permissions' is not valid YAML or JSON: ${error.message}`, {
+      cause: error,
+    });
+  }
+
+  if (
+    permissions === null ||
+    typeof permissions !== "object" ||
+    Array.isArray(permissions) ||
+    !Object.values(permissions).every((access) => typeof access === "string")
+  ) {
+    throw new Error(
+      "'permissions' must map permission names to access levels, e.g. 'contents: read'"
+    );
+  }
+
+  // An empty map inherits the installation's permissions, like unset inputs
+  if (Object.keys(permissions).length === 0) {
+    return undefined;
+  }
+
+  return Object.fromEntries(
+    Object.entries(permissions).map(([permission, access]) => [
+      normalizePermissionName(permission),
+      access,
+    ])
+  );
 }
@@ -0,0 +1,112 @@
+// @ts-check
+
+import YAML from "yaml";
+
+import { normalizePermissionName } from "./get-permissions-from-inputs.js";
+
+// Token names are part of output names, e.g. `token-<name>`
+const TOKEN_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const TOKEN_KEYS = ["name", "owner", "repositories", "permissions"];
+
+/**
+ * @typedef {Object} TokenRequest
+ * @property {string} name - Name of the token, used in output names
+ * @property {string} owner - Owner of the installation (empty to use the current repository owner)
+ * @property {string[]} repositories - Repositories to create the token for
+ * @property {Record<string, string> | undefined} permissions - Permissions of the token
+ */
+
+/**
+ * Parses the `tokens` input, a YAML or JSON list of tokens to create in one step.
+ *
+ * @param {string} input - Value of the `tokens` input
+ * @returns {TokenRequest[]}
+ */
+export function getTokensFromInput(input) {
+  if (!input.trim()) {
+    return [];
+  }
+
+  let tokens;
+  try {
+    tokens = YAML.parse(input);
+  } catch (error) {
+    throw new Error(`'tokens' is not valid YAML or JSON: ${error.message}`, {
+      cause: error,
+    });
+  }
+
+  if (!Array.isArray(tokens) || tokens.length === 0) {
+    throw new Error(
+      "'tokens' must be a list of tokens with 'name', 'owner', 'repositories' and 'permissions'"
+    );
+  }
+
+  const names = new Set();
+  return tokens.map((token, index) => {
+    if (token === null || typeof token !== "object" || Array.isArray(token)) {
+      throw new Error(`'tokens' item ${index + 1} must be an object`);
+    }
+
+    const { name, owner = "", repositories = [], permissions } = token;
+
+    if (typeof name !== "string" || !TOKEN_NAME_PATTERN.test(name)) {
+      throw new Error(
+        `'tokens' item ${index + 1} must have a 'name' of letters, digits, '-' and '_'`
+      );
+    }
+    if (names.has(name)) {
+      throw new Error(`'tokens' has more than one token named '${name}'`);
+    }
+    names.add(name);
+
+    const unknownKeys = Object.keys(token).filter((key) => !TOKEN_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+      throw new Error(
+        `Token '${name}' has unknown keys: ${unknownKeys.join(", ")}. Allowed keys are ${TOKEN_KEYS.join(", ")}`
+      );
+    }
+
+    if (typeof owner !== "string") {
+      throw new Error(`Token '${name}' must have a string 'owner'`);
+    }
+
+    // Repositories are a list, or a comma or newline-separated string like the `repositories` input
+    const repositoryList =
+      typeof repositories === "string" ? repositories.split(/[\n,]+/) : repositories;
+    if (
+      !Array.isArray(repositoryList) ||
+      !repositoryList.every((repository) => typeof repository === "string")
+    ) {
+      throw new Error(`Token '${name}' must have a list of 'repositories'`);
+    }
+
+    if (
+      permissions !== undefined &&
+      (permissions === null ||
+        typeof permissions !== "object" ||
+        Array.isArray(permissions) ||
+        !Object.values(permissions).every((access) => typeof access === "string"))
+    ) {
+      throw new Error(
+        `Token '${name}' must have 'permissions' mapping permission names to access levels, e.g. 'contents: read'`
+      );
+    }
+
+    return {
+      name,
+      owner: owner.trim(),
+      repositories: repositoryList.map((s) => s.trim()).filter((x) => x !== ""),
+      // Accept the names of the `permission-*` inputs, e.g. `pull-requests`
+      permissions:
+        permissions &&
+        Object.fromEntries(
+          Object.entries(permissions).map(([permission, access]) => [
+            normalizePermissionName(permission),
+            access,
+          ])
+        ),
+    };
+  });
+}
@@ -0,0 +1,20 @@
+// @ts-check
+
+/**
+ * Error for an unsuccessful response of an HTTP API other than GitHub's. Like the
+ * errors of `@octokit/request`, it has the response `status`, so callers can tell
+ * retryable and unavailable errors apart.
+ */
+export class HttpError extends Error {
+  /**
+   * @param {string} message - Error message from the response body, or its status text
+   * @param {number} status - HTTP status code of the response
+   * @param {any} [data] - Parsed response body
+   */
+  constructor(message, status, data) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.data = data;
+  }
+}
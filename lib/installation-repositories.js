@@ -0,0 +1,213 @@
+// @ts-check
+
+const PER_PAGE = 100;
+
+/**
+ * @typedef {Object} RepositoryFilters
+ * @property {string[]} [topics] - Repositories must have at least one of these topics
+ * @property {Record<string, string[]>} [properties] - Repositories must have one of the
+ *   values of each custom property
+ */
+
+/**
+ * Parse the `NAME=VALUE` entries of the `repository-property` input. Values of the same
+ * property are alternatives.
+ * @param {string[]} entries
+ * @returns {Record<string, string[]>}
+ */
+export function parseRepositoryProperties(entries) {
+  /** @type {Record<string, string[]>} */
+  const properties = {};
+  for (const entry of entries) {
+    const separator = entry.indexOf("=");
+    if (separator < 1) {
+      throw new Error(
+        `'repository-property' must be a list of NAME=VALUE pairs, e.g. 'team=payments', got '${entry}'`
+      );
+    }
+    const name = entry.slice(0, separator).trim();
+    (properties[name] ??= []).push(entry.slice(separator + 1).trim());
+  }
+  return properties;
+}
+
+/**
+ * Whether a `repositories` entry is a glob pattern (`*`, `?`) or an exclusion (`!name`)
+ * rather than a repository name
+ * @param {string} entry
+ * @returns {boolean}
+ */
+export function isRepositoryPattern(entry) {
+  return entry.startsWith("!") || /[*?]/.test(entry);
+}
+
+/**
+ * Turn a glob pattern into a regular expression. `*` matches any characters and `?`
+ * matches one character. Repository names are case-insensitive.
+ * @param {string} pattern
+ * @param {string} [flags] - Regular expression flags, case-insensitive by default
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern, flags = "i") {
+  const source = pattern
+    .split("")
+    .map((character) => {
+      if (character === "*") return ".*";
+      if (character === "?") return ".";
+      return character.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`, flags);
+}
+
+/**
+ * Select the repositories matched by the patterns of the `repositories` input, in the
+ * order of `names`. Names and patterns include repositories, `!` patterns exclude
+ * repositories again. Without any including pattern, all repositories are included.
+ * @param {string[]} names - Names of the repositories the installation can access
+ * @param {string[]} patterns - Entries of the `repositories` input
+ * @returns {string[]}
+ */
+export function matchRepositories(names, patterns) {
+  const includes = patterns
+    .filter((pattern) => !pattern.startsWith("!"))
+    .map((pattern) => globToRegExp(pattern));
+  const excludes = patterns
+    .filter((pattern) => pattern.startsWith("!"))
+    .map((pattern) => globToRegExp(pattern.slice(1)));
+
+  return names.filter(
+    (name) =>
+      (includes.length === 0 || includes.some((include) => include.test(name))) &&
+      !excludes.some((exclude) => exclude.test(name))
+  );
+}
+
+/**
+ * Whether a repository passes the `repository-topics` and `repository-property` filters
+ * @param {any} repository - Repository with `topics` and, if properties are filtered,
+ *   `custom_properties`
+ * @param {RepositoryFilters} filters
+ * @returns {boolean}
+ */
+export function matchesRepositoryFilters(repository, { topics = [], properties = {} }) {
+  if (
+    topics.length > 0 &&
+    !topics.some((topic) => (repository.topics ?? []).includes(topic.toLowerCase()))
+  ) {
+    return false;
+  }
+
+  return Object.entries(properties).every(([name, values]) => {
+    // Multi-select properties have a list of values
+    const value = repository.custom_properties?.[name];
+    const repositoryValues = Array.isArray(value) ? value : [value];
+    return values.some((expected) => repositoryValues.includes(expected));
+  });
+}
+
+/**
+ * List all repositories an installation can access. Listing requires an installation
+ * token, so a token with only `metadata: read` is created for it and revoked afterwards.
+ * If `org` is set, the token can also read the organization's custom property values,
+ * which are added to the repositories as `custom_properties`.
+ * @param {import("@octokit/request").request} request
+ * @param {Function} auth
+ * @param {number} installationId
+ * @param {{ org?: string }} [options]
+ * @returns {Promise<any[]>} Repositories as returned by `GET /installation/repositories`
+ */
+export async function listInstallationRepositories(request, auth, installationId, { org } = {}) {
+  let token;
+  try {
+    ({ token } = await auth({
+      type: "installation",
+      installationId,
+      permissions: org
+        ? { metadata: "read", organization_custom_properties: "read" }
+        : { metadata: "read" },
+    }));
+  } catch (error) {
+    if (org && error.status === 422) {
+      throw new Error(
+        `'repository-property' requires the GitHub App to have read access to the organization permission 'Custom properties' (${error.message})`,
+        { cause: error }
+      );
+    }
+    throw error;
+  }
+  const headers = { authorization: `token ${token}` };
+
+  try {
+    const repositories = [];
+    for (let page = 1; ; page++) {
+      // https://docs.github.com/rest/apps/installations#list-repositories-accessible-to-the-app-installation
+      const { data } = await request("GET /installation/repositories", {
+        per_page: PER_PAGE,
+        page,
+        headers,
+      });
+      repositories.push(...data.repositories);
+
+      if (data.repositories.length === 0 || repositories.length >= data.total_count) {
+        break;
+      }
+    }
+
+    if (org) {
+      const values = await listCustomPropertyValues(request, org, headers);
+      for (const repository of repositories) {
+        repository.custom_properties = values.get(repository.name) ?? {};
+      }
+    }
+
+    return repositories;
+  } finally {
+    // The token expires within an hour anyway, so a failed revocation does not fail the step
+    await request("DELETE /installation/token", { headers }).catch(() => {});
+  }
+}
+
+/**
+ * List the custom property values of all repositories of an organization
+ * @param {import("@octokit/request").request} request
+ * @param {string} org
+ * @param {Record<string, string>} headers - Headers with the installation token
+ * @returns {Promise<Map<string, Record<string, any>>>} Property values by repository name
+ */
+async function listCustomPropertyValues(request, org, headers) {
+  const values = new Map();
+  for (let page = 1; ; page++) {
+    let data;
+    try {
+      // https://docs.github.com/rest/orgs/custom-properties#list-custom-property-values-for-organization-repositories
+      ({ data } = await request("GET /orgs/{org}/properties/values", {
+        org,
+        per_page: PER_PAGE,
+        page,
+        headers,
+      }));
+    } catch (error) {
+      if (error.status === 404) {
+        throw new Error(
+          `'repository-property' requires '${org}' to be an organization with custom properties (${error.message})`,
+          { cause: error }
+        );
+      }
+      throw error;
+    }
+
+    for (const { repository_name, properties } of data) {
+      values.set(
+        repository_name,
+        Object.fromEntries(properties.map(({ property_name, value }) => [property_name, value]))
+      );
+    }
+
+    if (data.length < PER_PAGE) {
+      break;
+    }
+  }
+
+  return values;
+}
@@ -1,30 +1,200 @@
 // @ts-check
 
-import { KMSClient, SignCommand } from "@aws-sdk/client-kms";
+import { createHash, createPublicKey, verify } from "node:crypto";
+
+import { DecryptCommand, GetPublicKeyCommand, KMSClient, SignCommand } from "@aws-sdk/client-kms";
+import pRetry from "p-retry";
+
+import {
+  describeCredentialsError,
+  describeCredentialsSource,
+  getArnRegion,
+  getAwsClientConfig,
+} from "./aws-credentials.js";
+import { createSignerAppAuth } from "./signer-auth.js";
+
+// The only signing algorithm GitHub accepts for app JWTs (RS256)
+const SIGNING_ALGORITHM = "RSASSA_PKCS1_V1_5_SHA_256";
+
+// Transient KMS errors that are retried. Everything else is a configuration problem
+// that a retry will not fix.
+const RETRYABLE_KMS_ERRORS = [
+  "ThrottlingException",
+  "KMSInternalException",
+  "DependencyTimeoutException",
+];
+
+// KMS errors after which the next key in the list is tried: KMS is unavailable,
+// or the key cannot be used right now
+const FAILOVER_KMS_ERRORS = [
+  ...RETRYABLE_KMS_ERRORS,
+  "DisabledException",
+  "KMSInvalidStateException",
+  "KeyUnavailableException",
+  "NotFoundException",
+  "TimeoutError",
+];
 
 /**
- * Create a custom signing function that uses AWS KMS
- * @param {string} kmsKeyArn - The ARN of the KMS key
- * @param {string | undefined} awsProfile - Optional AWS profile to use
- * @returns {(payload: string) => Promise<string>} A signing function
+ * @typedef {import("./aws-credentials.js").AwsCredentialOptions & {
+ *   kmsKeyArn: string,
+ *   awsRegion?: string,
+ *   kmsEndpoint?: string,
+ *   grantTokens?: string[],
+ * }} KmsOptions
+ *
+ * `kmsKeyArn` can be a key or alias ARN, an alias name (`alias/github-app`) or a key ID.
  */
-function createKmsSigner(kmsKeyArn, awsProfile) {
-  // Extract region from KMS ARN (format: arn:aws:kms:REGION:ACCOUNT:key/KEY_ID)
-  const arnParts = kmsKeyArn.split(":");
-  const region = arnParts.length >= 4 ? arnParts[3] : undefined;
 
-  const clientConfig = awsProfile ? { profile: awsProfile, region } : { region };
-  const kmsClient = new KMSClient(clientConfig);
+/**
+ * Whether a signing error means the next KMS key should be tried
+ * @param {any} error - Error thrown by a KMS signer
+ * @returns {boolean}
+ */
+function isKmsKeyUnavailableError(error) {
+  const { name, code } = error.cause ?? error;
+  return (
+    FAILOVER_KMS_ERRORS.includes(name) ||
+    ["ECONNREFUSED", "ECONNRESET", "ENOTFOUND", "ETIMEDOUT"].includes(code)
+  );
+}
+
+/**
+ * Create a KMS client for the region the key lives in. Without an explicit region or
+ * a region in the ARN, the AWS SDK's default region resolution applies (e.g. `AWS_REGION`).
+ * @param {Omit<KmsOptions, "kmsKeyArn"> & { kmsKeyArn?: string }} options
+ * @returns {KMSClient}
+ */
+function createKmsClient({ kmsKeyArn, awsRegion, kmsEndpoint, grantTokens, ...credentialOptions }) {
+  const region = awsRegion || (kmsKeyArn ? getArnRegion(kmsKeyArn) : undefined);
+
+  return new KMSClient({
+    ...getAwsClientConfig({ ...credentialOptions, region }),
+    ...(kmsEndpoint ? { endpoint: kmsEndpoint } : {}),
+    // Transient failures are retried by `sendKmsCommand`, so the SDK must not retry them too
+    maxAttempts: 1,
+  });
+}
 
+/**
+ * Translate an AWS SDK error into an error that explains how to fix it
+ * @param {any} error - Error thrown by the AWS SDK
+ * @param {KmsOptions & { action: string }} context - KMS options and the IAM action of the failed request (e.g. `kms:Sign`)
+ * @returns {Error}
+ */
+function describeKmsError(error, { kmsKeyArn, action, ...credentialOptions }) {
+  const credentialsSource = describeCredentialsSource(credentialOptions);
+
+  let message;
+  switch (error.name) {
+    case "AccessDeniedException":
+      message = `Access denied to KMS key ${kmsKeyArn}. The IAM principal from ${credentialsSource} must be allowed to perform '${action}' on this key, by its IAM policy and the key policy or a grant.`;
+      break;
+    case "DisabledException":
+      message = `KMS key ${kmsKeyArn} is disabled. Enable the key to use it for signing.`;
+      break;
+    case "KMSInvalidStateException":
+      message = `KMS key ${kmsKeyArn} is not in a usable state (for example, it is pending deletion or pending key material import). Check the key state in the AWS console.`;
+      break;
+    case "NotFoundException":
+      message = `KMS key ${kmsKeyArn} was not found. Check 'aws-kms-arn' and that the key exists in the account and region of the credentials from ${credentialsSource}.`;
+      break;
+    case "InvalidKeyUsageException":
+      message = `KMS key ${kmsKeyArn} cannot be used for '${action}'. GitHub App keys must be RSA keys with key usage SIGN_VERIFY.`;
+      break;
+    case "CredentialsProviderError":
+    case "UnrecognizedClientException":
+    case "ExpiredTokenException":
+      message = describeCredentialsError(credentialOptions);
+      break;
+    // Only reached once all retries have failed
+    case "ThrottlingException":
+    case "KMSInternalException":
+    case "DependencyTimeoutException":
+      message = `KMS request '${action}' for key ${kmsKeyArn} kept failing after ${error.attemptNumber} attempts.`;
+      break;
+    default:
+      return error;
+  }
+
+  return new Error(`${message} (${error.name}: ${error.message})`, { cause: error });
+}
+
+/**
+ * Translate an AWS SDK error of a `kms:Decrypt` request for `encrypted-private-key`
+ * into an error that explains how to fix it
+ * @param {any} error - Error thrown by the AWS SDK
+ * @param {import("./aws-credentials.js").AwsCredentialOptions} credentialOptions
+ * @returns {Error}
+ */
+function describeKmsDecryptError(error, credentialOptions) {
+  const credentialsSource = describeCredentialsSource(credentialOptions);
+
+  let message;
+  switch (error.name) {
+    case "AccessDeniedException":
+      message = `Access denied to decrypt 'encrypted-private-key'. The IAM principal from ${credentialsSource} must be allowed to perform 'kms:Decrypt' on the KMS key it was encrypted with, by its IAM policy and the key policy or a grant.`;
+      break;
+    case "InvalidCiphertextException":
+      message = `KMS could not decrypt 'encrypted-private-key'. It must be the ciphertext blob returned by KMS 'Encrypt', and 'encrypted-private-key-context' must match the encryption context it was encrypted with.`;
+      break;
+    case "DisabledException":
+    case "KMSInvalidStateException":
+    case "NotFoundException":
+      message = `The KMS key that encrypted 'encrypted-private-key' cannot be used. Make sure it is enabled and exists in the account and region of the credentials from ${credentialsSource}.`;
+      break;
+    case "CredentialsProviderError":
+    case "UnrecognizedClientException":
+    case "ExpiredTokenException":
+      message = describeCredentialsError(credentialOptions);
+      break;
+    default:
+      return error;
+  }
+
+  return new Error(`${message} (${error.name}: ${error.message})`, { cause: error });
+}
+
+/**
+ * Send a KMS command, retrying transient failures with jittered exponential backoff
+ * @param {KMSClient} kmsClient - KMS client
+ * @param {any} command - KMS command
+ * @param {KmsOptions & { action: string }} context - KMS options and the IAM action of the request (e.g. `kms:Sign`)
+ * @param {(error: any, context: KmsOptions & { action: string }) => Error} [describeError] - Translates a failed request into an actionable error
+ * @returns {Promise<any>}
+ */
+async function sendKmsCommand(kmsClient, command, context, describeError = describeKmsError) {
+  try {
+    return await pRetry(() => kmsClient.send(command), {
+      shouldRetry: (error) => RETRYABLE_KMS_ERRORS.includes(error.name),
+      randomize: true,
+      retries: 3,
+    });
+  } catch (error) {
+    throw describeError(error, context);
+  }
+}
+
+/**
+ * Create a custom signing function that uses AWS KMS
+ * @param {KMSClient} kmsClient - KMS client
+ * @param {KmsOptions} options
+ * @returns {(payload: string) => Promise<string>} A signing function
+ */
+function createKmsSigner(kmsClient, options) {
   return async (payload) => {
     const command = new SignCommand({
-      KeyId: kmsKeyArn,
+      KeyId: options.kmsKeyArn,
       Message: Buffer.from(payload, "utf8"),
       MessageType: "RAW",
-      SigningAlgorithm: "RSASSA_PKCS1_V1_5_SHA_256",
+      SigningAlgorithm: SIGNING_ALGORITHM,
+      GrantTokens: options.grantTokens,
     });
 
-    const response = await kmsClient.send(command);
+    const response = await sendKmsCommand(kmsClient, command, {
+      ...options,
+      action: "kms:Sign",
+    });
 
     if (!response.Signature) {
       throw new Error("KMS signing failed: no signature returned");
@@ -40,133 +210,129 @@ function createKmsSigner(kmsKeyArn, awsProfile) {
 }
 
 /**
- * Create a JWT token signed with AWS KMS
- * @param {string} appId - GitHub App ID
- * @param {(payload: string) => Promise<string>} sign - Signing function
- * @returns {Promise<string>} JWT token
+ * Check that a KMS key can sign GitHub App JWTs before using it. The key must be an
+ * RSA signing key that supports RS256, and a test signature must verify with its
+ * public key. The key's fingerprint is computed the same way GitHub shows it in the
+ * App settings, and compared to `expectedFingerprint` if provided.
+ * @param {KmsOptions & { expectedFingerprint?: string }} options - KMS options and the expected SHA-256
+ *   fingerprint, with or without the `SHA256:` prefix
+ * @returns {Promise<{ fingerprint: string }>}
  */
-async function createKmsSignedJwt(appId, sign) {
-  const now = Math.floor(Date.now() / 1000);
-  const payload = {
-    iat: now - 60, // issued at time, 60 seconds in the past to allow for clock drift
-    exp: now + 600, // expires in 10 minutes
-    iss: Number(appId), // Convert to number to match Python implementation
-  };
+export async function verifyKmsKey({ expectedFingerprint, ...options }) {
+  const { kmsKeyArn } = options;
+  const kmsClient = createKmsClient(options);
 
-  const header = {
-    typ: "JWT",
-    alg: "RS256",
-  };
+  const response = await sendKmsCommand(
+    kmsClient,
+    new GetPublicKeyCommand({ KeyId: kmsKeyArn, GrantTokens: options.grantTokens }),
+    { ...options, action: "kms:GetPublicKey" }
+  );
+
+  if (!response.KeySpec?.startsWith("RSA_")) {
+    throw new Error(
+      `KMS key ${kmsKeyArn} has key spec '${response.KeySpec}', but GitHub App keys must be RSA (e.g. 'RSA_2048')`
+    );
+  }
+
+  if (response.KeyUsage !== "SIGN_VERIFY") {
+    throw new Error(
+      `KMS key ${kmsKeyArn} has key usage '${response.KeyUsage}', but it must be 'SIGN_VERIFY'`
+    );
+  }
+
+  if (!response.SigningAlgorithms?.includes(SIGNING_ALGORITHM)) {
+    throw new Error(
+      `KMS key ${kmsKeyArn} does not support the '${SIGNING_ALGORITHM}' signing algorithm`
+    );
+  }
+
+  if (!response.PublicKey) {
+    throw new Error(`KMS key ${kmsKeyArn} did not return a public key`);
+  }
 
-  // Use compact JSON encoding (no spaces) to match the Python implementation
-  const encodedHeader = Buffer.from(JSON.stringify(header).replace(/\s/g, ""))
-    .toString("base64")
-    .replace(/\+/g, "-")
-    .replace(/\//g, "_")
-    .replace(/=/g, "");
+  const publicKeyDer = Buffer.from(response.PublicKey);
+  const fingerprint = `SHA256:${createHash("sha256").update(publicKeyDer).digest("base64")}`;
 
-  const encodedPayload = Buffer.from(JSON.stringify(payload).replace(/\s/g, ""))
-    .toString("base64")
-    .replace(/\+/g, "-")
-    .replace(/\//g, "_")
-    .replace(/=/g, "");
+  // Sign a test message with KMS and verify it locally with the returned public key
+  const message = `create-github-app-token key verification ${Date.now()}`;
+  const signature = await createKmsSigner(kmsClient, options)(message);
+  const publicKey = createPublicKey({ key: publicKeyDer, format: "der", type: "spki" });
+  if (!verify("sha256", Buffer.from(message), publicKey, Buffer.from(signature, "base64url"))) {
+    throw new Error(
+      `KMS key ${kmsKeyArn} returned a signature that does not verify with its public key`
+    );
+  }
 
-  const signatureInput = `${encodedHeader}.${encodedPayload}`;
-  const signature = await sign(signatureInput);
+  if (expectedFingerprint) {
+    const expected = expectedFingerprint.trim().replace(/^SHA256:/i, "");
+    if (`SHA256:${expected}` !== fingerprint) {
+      throw new Error(
+        `KMS key ${kmsKeyArn} has fingerprint ${fingerprint}, which does not match 'expected-key-fingerprint' (SHA256:${expected})`
+      );
+    }
+  }
 
-  return `${signatureInput}.${signature}`;
+  return { fingerprint };
 }
 
 /**
- * Create an app auth instance that uses AWS KMS for signing
- * @param {Object} options
- * @param {string} options.appId - GitHub App ID
- * @param {string} options.kmsKeyArn - AWS KMS key ARN
- * @param {string} [options.awsProfile] - Optional AWS profile
- * @param {import("@octokit/request").request} options.request - Octokit request instance
- * @returns {Function}
+ * Decrypt a ciphertext blob returned by KMS `Encrypt`. Ciphertext blobs of symmetric
+ * keys identify the key they were encrypted with, so no key ID is needed.
+ * @param {Omit<KmsOptions, "kmsKeyArn"> & {
+ *   ciphertext: Buffer,
+ *   encryptionContext?: Record<string, string>,
+ * }} options - KMS options, the ciphertext blob and the encryption context it was encrypted with
+ * @returns {Promise<Buffer>} The plaintext, only kept in memory
  */
-export function createKmsAppAuth({ appId, kmsKeyArn, awsProfile, request }) {
-  const sign = createKmsSigner(kmsKeyArn, awsProfile);
-
-  /**
-   * Auth function that returns authentication tokens
-   * @param {Object} options
-   * @param {'app' | 'installation'} options.type - Type of authentication
-   * @param {number} [options.installationId] - Installation ID (required for installation auth)
-   * @param {string[]} [options.repositoryNames] - Repository names
-   * @param {Record<string, string>} [options.permissions] - Permissions
-   * @returns {Promise<Object>}
-   */
-  const auth = async (options = {}) => {
-    const { type = "app", installationId, repositoryNames, permissions } = options;
-
-    if (type === "app") {
-      const jwt = await createKmsSignedJwt(appId, sign);
-      return {
-        type: "app",
-        token: jwt,
-        appId: Number(appId),
-      };
-    }
+export async function decryptWithKms({ ciphertext, encryptionContext, ...options }) {
+  const response = await sendKmsCommand(
+    createKmsClient(options),
+    new DecryptCommand({
+      CiphertextBlob: ciphertext,
+      EncryptionContext: encryptionContext,
+      GrantTokens: options.grantTokens,
+    }),
+    { ...options, kmsKeyArn: "", action: "kms:Decrypt" },
+    describeKmsDecryptError
+  );
 
-    if (type === "installation") {
-      if (!installationId) {
-        throw new Error("installationId is required for installation authentication");
-      }
-
-      // Create JWT for app authentication
-      const jwt = await createKmsSignedJwt(appId, sign);
-
-      // Use the JWT to create an installation access token
-      const requestOptions = {
-        headers: {
-          authorization: `Bearer ${jwt}`,
-        },
-      };
-
-      const body = {};
-      if (repositoryNames && repositoryNames.length > 0) {
-        body.repositories = repositoryNames;
-      }
-      if (permissions) {
-        body.permissions = permissions;
-      }
-
-      const response = await request(
-        "POST /app/installations/{installation_id}/access_tokens",
-        {
-          installation_id: installationId,
-          ...body,
-          ...requestOptions,
-        }
-      );
-
-      return {
-        type: "token",
-        token: response.data.token,
-        tokenType: "installation",
-        installationId,
-        expiresAt: response.data.expires_at,
-        permissions: response.data.permissions,
-        repositorySelection: response.data.repository_selection,
-      };
-    }
+  if (!response.Plaintext) {
+    throw new Error("KMS decryption failed: no plaintext returned");
+  }
 
-    throw new Error(`Unknown authentication type: ${type}`);
-  };
+  return Buffer.from(response.Plaintext);
+}
 
-  // Add a hook function for authenticated requests
-  auth.hook = async (request, route, parameters = {}) => {
-    const jwt = await createKmsSignedJwt(appId, sign);
-    return request(route, {
-      ...parameters,
-      headers: {
-        ...(parameters.headers || {}),
-        authorization: `Bearer ${jwt}`,
-      },
-    });
-  };
+/**
+ * Create an app auth instance that uses AWS KMS for signing.
+ *
+ * `kmsKeyArn` can be an ordered list of keys, e.g. multi-region replicas, or a new and
+ * an old key during key rotation. JWTs are signed with the first key until KMS cannot
+ * use it, or GitHub cannot decode a JWT it signed. Then the next key is used for the
+ * rest of the run.
+ * @param {Omit<KmsOptions, "kmsKeyArn"> & {
+ *   kmsKeyArn: string | string[],
+ *   appId: string,
+ *   request: import("@octokit/request").request,
+ *   log?: { warn: (message: string) => void },
+ * }} options - KMS options, the GitHub App ID, an Octokit request instance and a
+ *   logger for retry and failover warnings (defaults to console)
+ * @returns {Function}
+ */
+export function createKmsAppAuth({ appId, request, log, kmsKeyArn, ...options }) {
+  const signers = (Array.isArray(kmsKeyArn) ? kmsKeyArn : [kmsKeyArn]).map((arn) => {
+    const keyOptions = { ...options, kmsKeyArn: arn };
+    return {
+      name: arn,
+      sign: createKmsSigner(createKmsClient(keyOptions), keyOptions),
+    };
+  });
 
-  return auth;
+  return createSignerAppAuth({
+    appId,
+    request,
+    log,
+    signers,
+    isSignerUnavailableError: isKmsKeyUnavailableError,
+  });
 }
@@ -0,0 +1,64 @@
+// @ts-check
+
+import { createAppAuth } from "@octokit/auth-app";
+
+import { memoizeUntilFailure } from "./memoize-until-failure.js";
+
+/**
+ * Create an app auth instance that signs with a private key loaded at runtime, e.g.
+ * decrypted with KMS or read from a secret store. The key is loaded in memory on first
+ * use, masked in the logs and never written to disk or to outputs.
+ * @param {Object} options
+ * @param {string} options.appId - GitHub App ID
+ * @param {import("@octokit/request").request} options.request - Octokit request instance
+ * @param {(secret: string) => void} options.setSecret - Masks secrets in the logs
+ * @param {() => Promise<string>} options.loadPrivateKey - Returns the PEM private key
+ * @param {string} options.source - Where the key comes from, for error messages, e.g. `'encrypted-private-key'`
+ * @returns {Function}
+ */
+export function createLoadedPrivateKeyAppAuth({
+  appId,
+  request,
+  setSecret,
+  loadPrivateKey,
+  source,
+}) {
+  // Load the key once per run
+  const getAppAuth = memoizeUntilFailure(async () => {
+    // Escaped newlines are replaced, as for `private-key`
+    const privateKey = (await loadPrivateKey()).replace(/\\n/g, "\n");
+
+    // Mask the key as a whole and line by line, as multi-line secrets are only
+    // masked where they are printed in full
+    for (const secret of [privateKey, ...privateKey.split(/\r?\n/)]) {
+      if (secret.trim()) {
+        setSecret(secret);
+      }
+    }
+
+    if (!privateKey.includes("PRIVATE KEY-----")) {
+      throw new Error(
+        `The private key from ${source} is not a PEM private key. Store the GitHub App's private key file.`
+      );
+    }
+
+    return createAppAuth({ appId, privateKey, request });
+  });
+
+  /**
+   * @param {any} options
+   * @returns {Promise<any>}
+   */
+  const auth = async (options) => (await getAppAuth())(options);
+
+  /**
+   * @param {any} request
+   * @param {any} route
+   * @param {any} [parameters]
+   * @returns {Promise<any>}
+   */
+  auth.hook = async (request, route, parameters) =>
+    (await getAppAuth()).hook(request, route, parameters);
+
+  return auth;
+}
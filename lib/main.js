@@ -1,35 +1,328 @@
 import pRetry from "p-retry";
+
+import {
+  isRepositoryPattern,
+  listInstallationRepositories,
+  matchesRepositoryFilters,
+  matchRepositories,
+} from "./installation-repositories.js";
+import { enforceOwnerPolicy, enforcePolicy, readRepositoryPolicy } from "./policy.js";
+import { checkInstallationPermissions } from "./validate-permissions.js";
 // @ts-check
 
+// https://docs.github.com/rest/apps/apps#create-an-installation-access-token-for-an-app
+const MAX_REPOSITORIES_PER_TOKEN = 500;
+
+/**
+ * @typedef {Object} PolicyOptions - The policy file of the `policy-file` input
+ * @property {import("./policy.js").PolicyContext} context - The workflow run
+ * @property {import("./policy.js").Policy} [policy] - Policy read from the workspace,
+ *   checked before each token is created
+ * @property {string} [repository] - Repository to read the policy from with the created
+ *   tokens, which are checked and revoked if denied
+ * @property {string} [file] - Path of the policy file in `repository`
+ */
+
 /**
- * @param {string} appId
- * @param {string} privateKey
+ * @param {Object} options
+ * @param {string} options.owner
+ * @param {string[]} options.repositories
+ * @param {undefined | Record<string, string>} options.permissions
+ * @param {import("@actions/core")} options.core
+ * @param {Function} options.auth - Auth function (either from createAppAuth or createKmsAppAuth)
+ * @param {import("@octokit/request").request} options.request
+ * @param {boolean} options.skipTokenRevoke
+ * @param {string} [options.providedInstallationId] - Optional installation ID
+ * @param {import("./get-tokens-from-input.js").TokenRequest[]} [options.tokens] - Tokens to
+ *   create instead of a single token, from the `tokens` input
+ * @param {import("./installation-repositories.js").RepositoryFilters} [options.repositoryFilters] -
+ *   Topics and custom property values that select the repositories of the token
+ * @param {number[]} [options.repositoryIds] - IDs of repositories to create the token for, in
+ *   addition to `repositories`
+ * @param {boolean} [options.splitLargeRepositoryLists] - Create a token for each 500
+ *   repositories instead of failing when there are more
+ * @param {string} [options.permissionMismatch] - `fail` or `downgrade` when permissions
+ *   exceed the permissions granted to the installation
+ * @param {PolicyOptions} [options.policy] - Policy that restricts the tokens the workflow run
+ *   may create
+ */
+export async function main({
+  owner,
+  repositories,
+  permissions,
+  core,
+  auth,
+  request,
+  skipTokenRevoke,
+  providedInstallationId = "",
+  tokens = [],
+  repositoryFilters = {},
+  repositoryIds = [],
+  splitLargeRepositoryLists = false,
+  permissionMismatch = "fail",
+  policy,
+}) {
+  if (tokens.length > 0) {
+    return createTokens(
+      tokens,
+      permissions,
+      core,
+      auth,
+      request,
+      skipTokenRevoke,
+      permissionMismatch,
+      policy
+    );
+  }
+
+  const { authentication, installationId, appSlug, installationTokens } =
+    await createToken(
+      owner,
+      repositories,
+      permissions,
+      core,
+      auth,
+      request,
+      {
+        providedInstallationId,
+        repositoryFilters,
+        repositoryIds,
+        splitLargeRepositoryLists,
+        permissionMismatch,
+        policy,
+      }
+    );
+
+  // Register the tokens with the runner as secrets to ensure they are masked in logs
+  for (const { authentication } of installationTokens) {
+    core.setSecret(authentication.token);
+  }
+
+  // Denied tokens are revoked right away
+  if (policy?.repository) {
+    await enforceRepositoryPolicy(policy, installationTokens, core, request);
+  }
+
+  // Make token accessible to post function (so we can invalidate it), before anything
+  // else can fail
+  if (!skipTokenRevoke) {
+    if (installationTokens.length === 1) {
+      core.saveState("token", authentication.token);
+      core.saveState("expiresAt", authentication.expiresAt);
+    } else {
+      core.saveState(
+        "tokens",
+        JSON.stringify(
+          installationTokens.map(({ authentication }, index) => ({
+            name: `split-${index + 1}`,
+            token: authentication.token,
+            expiresAt: authentication.expiresAt,
+          }))
+        )
+      );
+    }
+  }
+
+  // Split tokens only have access to some of the repositories, so `token` is not set for them
+  if (installationTokens.length === 1) {
+    core.setOutput("token", authentication.token);
+  }
+  if (splitLargeRepositoryLists) {
+    core.setOutput(
+      "split-tokens",
+      JSON.stringify(
+        installationTokens.map(({ authentication, repositoryNames, repositoryIds }) => ({
+          token: authentication.token,
+          repositories: repositoryNames ?? [],
+          repository_ids: repositoryIds ?? [],
+        }))
+      )
+    );
+  }
+  core.setOutput("installation-id", installationId);
+  await setAppIdentityOutputs(core, request, appSlug, authentication.token);
+  setTokenMetadataOutputs(core, installationTokens);
+
+  // Only external signers, e.g. KMS, report which key signed the JWT
+  if (authentication.signingKey) {
+    core.setOutput("signing-key", authentication.signingKey);
+  }
+}
+
+/**
+ * Create all tokens from the `tokens` input in parallel. They share the auth instance,
+ * so the app JWT is only signed once. If any token cannot be created, the others are
+ * revoked.
+ * @param {import("./get-tokens-from-input.js").TokenRequest[]} tokens
+ * @param {undefined | Record<string, string>} permissions - Permissions for tokens without their own
+ * @param {import("@actions/core")} core
+ * @param {Function} auth
+ * @param {import("@octokit/request").request} request
+ * @param {boolean} skipTokenRevoke
+ * @param {string} permissionMismatch
+ * @param {PolicyOptions} [policy]
+ */
+async function createTokens(
+  tokens,
+  permissions,
+  core,
+  auth,
+  request,
+  skipTokenRevoke,
+  permissionMismatch,
+  policy
+) {
+  const settledResults = await Promise.allSettled(
+    tokens.map((token) => {
+      core.info(`Creating token '${token.name}'.`);
+      return createToken(
+        token.owner,
+        token.repositories,
+        token.permissions ?? permissions,
+        core,
+        auth,
+        request,
+        { permissionMismatch, policy }
+      );
+    })
+  );
+
+  const failure = settledResults.find((result) => result.status === "rejected");
+  if (failure) {
+    const createdTokens = settledResults.flatMap((result) =>
+      result.status === "fulfilled"
+        ? result.value.installationTokens.map(({ authentication }) => authentication.token)
+        : []
+    );
+    if (createdTokens.length > 0) {
+      await revokeTokens(createdTokens, "not all of them could be created", core, request);
+    }
+    throw failure.reason;
+  }
+
+  const results = settledResults.map(
+    (result) => /** @type {PromiseFulfilledResult<any>} */ (result).value
+  );
+
+  // Register the tokens with the runner as secrets to ensure they are masked in logs
+  for (const { authentication } of results) {
+    core.setSecret(authentication.token);
+  }
+
+  // Denied tokens are revoked right away
+  if (policy?.repository) {
+    await enforceRepositoryPolicy(
+      policy,
+      results.flatMap(({ installationTokens }) => installationTokens),
+      core,
+      request
+    );
+  }
+
+  // Make tokens accessible to post function (so we can invalidate them), before anything
+  // else can fail
+  if (!skipTokenRevoke) {
+    core.saveState(
+      "tokens",
+      JSON.stringify(
+        results.map(({ authentication }, index) => ({
+          name: tokens[index].name,
+          token: authentication.token,
+          expiresAt: authentication.expiresAt,
+        }))
+      )
+    );
+  }
+
+  const tokenOutputs = {};
+  for (const [index, { authentication, installationId, installationTokens }] of results.entries()) {
+    const { name } = tokens[index];
+
+    core.setOutput(`token-${name}`, authentication.token);
+    core.setOutput(`installation-id-${name}`, installationId);
+    setTokenMetadataOutputs(core, installationTokens, `-${name}`);
+    tokenOutputs[name] = authentication.token;
+  }
+
+  core.setOutput("tokens", JSON.stringify(tokenOutputs));
+  await setAppIdentityOutputs(core, request, results[0].appSlug, results[0].authentication.token);
+
+  // Only external signers, e.g. KMS, report which key signed the JWT
+  if (results[0].authentication.signingKey) {
+    core.setOutput("signing-key", results[0].authentication.signingKey);
+  }
+}
+
+/**
+ * Create an installation access token for an owner and its repositories
  * @param {string} owner
  * @param {string[]} repositories
  * @param {undefined | Record<string, string>} permissions
  * @param {import("@actions/core")} core
- * @param {Function} auth - Auth function (either from createAppAuth or createKmsAppAuth)
+ * @param {Function} auth
  * @param {import("@octokit/request").request} request
- * @param {boolean} skipTokenRevoke
- * @param {string} providedInstallationId - Optional installation ID
+ * @param {Object} [options]
+ * @param {string} [options.providedInstallationId] - Optional installation ID
+ * @param {import("./installation-repositories.js").RepositoryFilters} [options.repositoryFilters]
+ * @param {number[]} [options.repositoryIds]
+ * @param {boolean} [options.splitLargeRepositoryLists]
+ * @param {string} [options.permissionMismatch]
+ * @param {PolicyOptions} [options.policy]
+ * @returns {Promise<{ authentication: any, installationId: number, appSlug: string, installationTokens: InstallationToken[] }>}
+ *   The (first) token, and all tokens if the repositories were split
  */
-export async function main(
-  appId,
-  privateKey,
+async function createToken(
   owner,
   repositories,
   permissions,
   core,
   auth,
   request,
-  skipTokenRevoke,
-  providedInstallationId
+  {
+    providedInstallationId = "",
+    repositoryFilters = {},
+    repositoryIds = [],
+    splitLargeRepositoryLists = false,
+    permissionMismatch = "fail",
+    policy,
+  } = {}
 ) {
   let parsedOwner = "";
   let parsedRepositoryNames = [];
 
+  // `owner/repo` entries set the owner of the other entries
+  const { owner: repositoriesOwner, repositories: repositoryNames } =
+    parseQualifiedRepositories(owner, repositories);
+  repositories = repositoryNames;
+
+  // The inputs that filter the repositories, e.g. `'repository-topics'`
+  const repositoryFilterInputs = [
+    (repositoryFilters.topics ?? []).length > 0 && "'repository-topics'",
+    Object.keys(repositoryFilters.properties ?? {}).length > 0 && "'repository-property'",
+  ]
+    .filter(Boolean)
+    .join(" and ");
+  const hasRepositoryFilters = repositoryFilterInputs !== "";
+
+  // How repositories are selected without the `repositories` input
+  const repositorySelection = [
+    hasRepositoryFilters && `that match ${repositoryFilterInputs}`,
+    repositoryIds.length > 0 && `with the IDs ${repositoryIds.join(", ")}`,
+  ]
+    .filter(Boolean)
+    .join(" or ");
+
+  // If only repository filters or IDs are set, use the repositories of `GITHUB_REPOSITORY_OWNER`
+  if (!owner && repositories.length === 0 && repositorySelection) {
+    parsedOwner = String(process.env.GITHUB_REPOSITORY_OWNER);
+
+    core.info(
+      `Inputs 'owner' and 'repositories' are not set. Creating token for the repositories owned by ${parsedOwner} ${repositorySelection}.`
+    );
+  }
+
   // If neither owner nor repositories are set, default to current repository
-  if (!owner && repositories.length === 0) {
+  if (!owner && repositories.length === 0 && !repositorySelection) {
     const [owner, repo] = String(process.env.GITHUB_REPOSITORY).split("/");
     parsedOwner = owner;
     parsedRepositoryNames = [repo];
@@ -44,17 +337,19 @@ export async function main(
     parsedOwner = owner;
 
     core.info(
-      `Input 'repositories' is not set. Creating token for all repositories owned by ${owner}.`
+      repositorySelection
+        ? `Input 'repositories' is not set. Creating token for the repositories owned by ${owner} ${repositorySelection}.`
+        : `Input 'repositories' is not set. Creating token for all repositories owned by ${owner}.`
     );
   }
 
-  // If repositories are set, but no owner, default to `GITHUB_REPOSITORY_OWNER`
+  // If repositories are set, but no owner, default to the owner of `owner/repo` entries or `GITHUB_REPOSITORY_OWNER`
   if (!owner && repositories.length > 0) {
-    parsedOwner = String(process.env.GITHUB_REPOSITORY_OWNER);
+    parsedOwner = repositoriesOwner || String(process.env.GITHUB_REPOSITORY_OWNER);
     parsedRepositoryNames = repositories;
 
     core.info(
-      `No 'owner' input provided. Using default owner '${parsedOwner}' to create token for the following repositories:${repositories
+      `No 'owner' input provided. Using ${repositoriesOwner ? "owner" : "default owner"} '${parsedOwner}' to create token for the following repositories:${repositories
         .map((repo) => `\n- ${parsedOwner}/${repo}`)
         .join("")}`
     );
@@ -71,35 +366,50 @@ export async function main(
     );
   }
 
-  let authentication, installationId, appSlug;
+  if (repositoryIds.length > 0 && repositories.length > 0) {
+    core.info(`Also creating token for the repositories with the IDs ${repositoryIds.join(", ")}.`);
+  }
+
+  // Resolve patterns and filters against the repositories the installation can access
+  if (hasRepositoryFilters || parsedRepositoryNames.some(isRepositoryPattern)) {
+    return createTokenForRepositorySelection({
+      request,
+      core,
+      auth,
+      owner: parsedOwner,
+      patterns: parsedRepositoryNames,
+      repositoryFilters,
+      repositoryIds,
+      splitLargeRepositoryLists,
+      permissions,
+      permissionMismatch,
+      policy,
+      providedInstallationId,
+    });
+  }
+
+  // Fail before any request if the repositories exceed the limit of a token
+  const repositoryChunks = splitRepositories(
+    parsedRepositoryNames,
+    repositoryIds,
+    splitLargeRepositoryLists
+  );
+
+  let installationId, appSlug;
 
   // If installation ID is provided, use it directly
   if (providedInstallationId) {
     core.info(`Using provided installation ID: ${providedInstallationId}`);
     installationId = Number(providedInstallationId);
 
-    // Get token directly with the provided installation ID
-    authentication = await auth({
-      type: "installation",
-      installationId,
-      repositoryNames: parsedRepositoryNames.length > 0 ? parsedRepositoryNames : undefined,
-      permissions,
-    });
-
-    // We don't have app-slug when using direct installation ID, so set a default
-    appSlug = "github-app";
+    // The installation is not looked up, so get the app slug from the app itself before
+    // any token is created
+    appSlug = await getAppSlug(request, auth);
   }
   // If at least one repository is set, get installation ID from that repository
   else if (parsedRepositoryNames.length > 0) {
-    ({ authentication, installationId, appSlug } = await pRetry(
-      () =>
-        getTokenFromRepository(
-          request,
-          auth,
-          parsedOwner,
-          parsedRepositoryNames,
-          permissions
-        ),
+    ({ installationId, appSlug } = await pRetry(
+      () => getInstallationFromRepository(request, auth, parsedOwner, parsedRepositoryNames[0]),
       {
         shouldRetry: (error) => error.status >= 500,
         onFailedAttempt: (error) => {
@@ -114,8 +424,8 @@ export async function main(
     ));
   } else {
     // Otherwise get the installation for the owner, which can either be an organization or a user account
-    ({ authentication, installationId, appSlug } = await pRetry(
-      () => getTokenFromOwner(request, auth, parsedOwner, permissions),
+    ({ installationId, appSlug } = await pRetry(
+      () => getInstallationFromOwner(request, auth, parsedOwner),
       {
         onFailedAttempt: (error) => {
           core.info(
@@ -127,21 +437,215 @@ export async function main(
     ));
   }
 
-  // Register the token with the runner as a secret to ensure it is masked in logs
-  core.setSecret(authentication.token);
+  const installationTokens = await createInstallationTokens({
+    request,
+    core,
+    auth,
+    installationId,
+    owner: parsedOwner,
+    repositoryChunks,
+    permissions,
+    permissionMismatch,
+    policy,
+  });
 
-  core.setOutput("token", authentication.token);
-  core.setOutput("installation-id", installationId);
+  return {
+    authentication: installationTokens[0].authentication,
+    installationId,
+    appSlug,
+    installationTokens,
+  };
+}
+
+/**
+ * Create a token for the repositories of the owner's installation that match the
+ * glob patterns and exclusions of the `repositories` input, and the topics and custom
+ * property values of the `repository-topics` and `repository-property` inputs
+ * @param {Object} options
+ * @param {import("@octokit/request").request} options.request
+ * @param {import("@actions/core")} options.core
+ * @param {any} options.auth
+ * @param {string} options.owner
+ * @param {string[]} options.patterns
+ * @param {import("./installation-repositories.js").RepositoryFilters} options.repositoryFilters
+ * @param {number[]} options.repositoryIds - Repositories to add to the selected ones
+ * @param {boolean} options.splitLargeRepositoryLists
+ * @param {undefined | Record<string, string>} options.permissions
+ * @param {string} options.permissionMismatch
+ * @param {PolicyOptions} [options.policy]
+ * @param {string} [options.providedInstallationId] - Optional installation ID
+ */
+async function createTokenForRepositorySelection({
+  request,
+  core,
+  auth,
+  owner,
+  patterns,
+  repositoryFilters,
+  repositoryIds,
+  splitLargeRepositoryLists,
+  permissions,
+  permissionMismatch,
+  policy,
+  providedInstallationId,
+}) {
+  // Listing the repositories takes a token, so check the policy before they are resolved.
+  // Downgraded permissions are only known after the installation is looked up.
+  if (policy?.policy) {
+    await enforceOwnerPolicy(
+      policy.policy,
+      policy.context,
+      { owner, permissions },
+      core,
+      permissionMismatch !== "downgrade"
+    );
+  }
+
+  let installationId, appSlug;
+
+  if (providedInstallationId) {
+    core.info(`Using provided installation ID: ${providedInstallationId}`);
+    installationId = Number(providedInstallationId);
+
+    // The installation is not looked up, so get the app slug from the app itself before
+    // any token is created
+    appSlug = await getAppSlug(request, auth);
+  } else {
+    // https://docs.github.com/rest/apps/apps?apiVersion=2022-11-28#get-a-user-installation-for-the-authenticated-app
+    const response = await pRetry(
+      () =>
+        request("GET /users/{username}/installation", {
+          username: owner,
+          request: {
+            hook: auth.hook,
+          },
+        }),
+      {
+        shouldRetry: (error) => error.status >= 500,
+        onFailedAttempt: (error) => {
+          core.info(
+            `Failed to get the installation for "${owner}" (attempt ${error.attemptNumber}): ${error.message}`
+          );
+        },
+        retries: 3,
+      }
+    );
+    installationId = response.data.id;
+    appSlug = response.data["app_slug"];
+  }
+
+  const { topics = [], properties = {} } = repositoryFilters;
+  const hasProperties = Object.keys(properties).length > 0;
+
+  const repositories = await listInstallationRepositories(request, auth, installationId, {
+    org: hasProperties ? owner : undefined,
+  });
+  const filteredRepositories = repositories.filter((repository) =>
+    matchesRepositoryFilters(repository, repositoryFilters)
+  );
+  const resolvedRepositories = matchRepositories(
+    filteredRepositories.map((repository) => repository.name),
+    patterns
+  );
+
+  // The inputs that select the repositories, and their values
+  const criteria = [
+    ["repositories", patterns],
+    ["repository-topics", topics],
+    [
+      "repository-property",
+      Object.entries(properties).flatMap(([name, values]) =>
+        values.map((value) => `${name}=${value}`)
+      ),
+    ],
+  ].filter(([, values]) => values.length > 0);
+
+  if (resolvedRepositories.length === 0) {
+    throw new Error(
+      `None of the ${repositories.length} repositories of the installation for '${owner}' match ${criteria
+        .map(([input, values]) => `'${input}' (${values.join(", ")})`)
+        .join(" and ")}`
+    );
+  }
+
+  core.info(
+    `Resolved ${criteria.map(([input]) => `'${input}'`).join(" and ")} to ${resolvedRepositories.length} repositories:${resolvedRepositories
+      .map((repo) => `\n- ${owner}/${repo}`)
+      .join("")}`
+  );
+
+  const installationTokens = await createInstallationTokens({
+    request,
+    core,
+    auth,
+    installationId,
+    owner,
+    repositoryChunks: splitRepositories(
+      resolvedRepositories,
+      repositoryIds,
+      splitLargeRepositoryLists
+    ),
+    permissions,
+    permissionMismatch,
+    policy,
+  });
+
+  return {
+    authentication: installationTokens[0].authentication,
+    installationId,
+    appSlug,
+    installationTokens,
+  };
+}
+
+/**
+ * Get the slug of the GitHub App with the app JWT, for when the installation is not looked up
+ * @param {import("@octokit/request").request} request
+ * @param {any} auth
+ * @returns {Promise<string>}
+ */
+async function getAppSlug(request, auth) {
+  // https://docs.github.com/rest/apps/apps#get-the-authenticated-app
+  const { data } = await request("GET /app", {
+    request: {
+      hook: auth.hook,
+    },
+  });
+  return data.slug;
+}
+
+/**
+ * Set the outputs that identify the app and its bot user, e.g. to author commits made with
+ * the token. The bot user is looked up with the created token. If that fails, only the
+ * outputs that do not need its ID are set.
+ * @param {import("@actions/core")} core
+ * @param {import("@octokit/request").request} request
+ * @param {string} appSlug
+ * @param {string} token
+ */
+async function setAppIdentityOutputs(core, request, appSlug, token) {
+  const userName = `${appSlug}[bot]`;
   core.setOutput("app-slug", appSlug);
+  core.setOutput("git-user-name", userName);
 
-  // Make token accessible to post function (so we can invalidate it)
-  if (!skipTokenRevoke) {
-    core.saveState("token", authentication.token);
-    core.saveState("expiresAt", authentication.expiresAt);
+  try {
+    // https://docs.github.com/rest/users/users#get-a-user
+    const { data } = await request("GET /users/{username}", {
+      username: userName,
+      headers: {
+        authorization: `token ${token}`,
+      },
+    });
+    core.setOutput("app-user-id", data.id);
+    core.setOutput("git-user-email", `${data.id}+${userName}@users.noreply.github.com`);
+  } catch (error) {
+    core.warning(
+      `Could not get the bot user '${userName}', so 'app-user-id' and 'git-user-email' are not set: ${error.message}`
+    );
   }
 }
 
-async function getTokenFromOwner(request, auth, parsedOwner, permissions) {
+async function getInstallationFromOwner(request, auth, parsedOwner) {
   // https://docs.github.com/rest/apps/apps?apiVersion=2022-11-28#get-a-user-installation-for-the-authenticated-app
   // This endpoint works for both users and organizations
   const response = await request("GET /users/{username}/installation", {
@@ -151,45 +655,289 @@ async function getTokenFromOwner(request, auth, parsedOwner, permissions) {
     },
   });
 
-  // Get token for for all repositories of the given installation
-  const authentication = await auth({
-    type: "installation",
-    installationId: response.data.id,
-    permissions,
-  });
-
-  const installationId = response.data.id;
-  const appSlug = response.data["app_slug"];
-
-  return { authentication, installationId, appSlug };
+  return { installationId: response.data.id, appSlug: response.data["app_slug"] };
 }
 
-async function getTokenFromRepository(
-  request,
-  auth,
-  parsedOwner,
-  parsedRepositoryNames,
-  permissions
-) {
+async function getInstallationFromRepository(request, auth, parsedOwner, repo) {
   // https://docs.github.com/rest/apps/apps?apiVersion=2022-11-28#get-a-repository-installation-for-the-authenticated-app
   const response = await request("GET /repos/{owner}/{repo}/installation", {
     owner: parsedOwner,
-    repo: parsedRepositoryNames[0],
+    repo,
     request: {
       hook: auth.hook,
     },
   });
 
-  // Get token for given repositories
-  const authentication = await auth({
-    type: "installation",
-    installationId: response.data.id,
-    repositoryNames: parsedRepositoryNames,
+  return { installationId: response.data.id, appSlug: response.data["app_slug"] };
+}
+
+/**
+ * @typedef {Object} RepositoryChunk
+ * @property {string[]} [repositoryNames] - Repository names, unset for all repositories
+ * @property {number[]} [repositoryIds] - Repository IDs
+ */
+
+/**
+ * @typedef {Object} InstallationTokenProperties
+ * @property {string} owner
+ * @property {Record<string, string>} [permissions] - Unset for all permissions of the installation
+ * @property {any} authentication
+ */
+
+/**
+ * @typedef {RepositoryChunk & InstallationTokenProperties} InstallationToken
+ */
+
+/**
+ * Split repository names and IDs into chunks of at most 500 repositories, the limit of a
+ * single token. Without `splitLargeRepositoryLists`, more repositories are an error.
+ * @param {string[]} repositoryNames
+ * @param {number[]} repositoryIds
+ * @param {boolean} splitLargeRepositoryLists
+ * @returns {RepositoryChunk[]}
+ */
+function splitRepositories(repositoryNames, repositoryIds, splitLargeRepositoryLists) {
+  const count = repositoryNames.length + repositoryIds.length;
+
+  if (count > MAX_REPOSITORIES_PER_TOKEN && !splitLargeRepositoryLists) {
+    throw new Error(
+      `A token can be created for at most ${MAX_REPOSITORIES_PER_TOKEN} repositories, but ${count} repositories were requested. Set 'split-large-repository-lists' to true to create a token for each ${MAX_REPOSITORIES_PER_TOKEN} repositories.`
+    );
+  }
+
+  // Without any repositories, the token has access to all repositories of the installation
+  const chunks = [];
+  const chunkCount = Math.max(1, Math.ceil(count / MAX_REPOSITORIES_PER_TOKEN));
+  for (let index = 0; index < chunkCount; index++) {
+    const start = index * MAX_REPOSITORIES_PER_TOKEN;
+    const end = start + MAX_REPOSITORIES_PER_TOKEN;
+    const names = repositoryNames.slice(start, end);
+    const ids = repositoryIds.slice(
+      Math.max(0, start - repositoryNames.length),
+      Math.max(0, end - repositoryNames.length)
+    );
+    chunks.push({
+      repositoryNames: names.length > 0 ? names : undefined,
+      repositoryIds: ids.length > 0 ? ids : undefined,
+    });
+  }
+  return chunks;
+}
+
+/**
+ * Create an installation access token for each chunk of repositories, after checking the
+ * permissions against the permissions granted to the installation, and the chunks against
+ * a policy file from the workspace. If a token cannot be created, the others are revoked.
+ * @param {Object} options
+ * @param {import("@octokit/request").request} options.request
+ * @param {import("@actions/core")} options.core
+ * @param {any} options.auth
+ * @param {number} options.installationId
+ * @param {string} options.owner
+ * @param {RepositoryChunk[]} options.repositoryChunks
+ * @param {undefined | Record<string, string>} options.permissions
+ * @param {string} options.permissionMismatch
+ * @param {PolicyOptions} [options.policy]
+ * @returns {Promise<InstallationToken[]>}
+ */
+async function createInstallationTokens({
+  request,
+  core,
+  auth,
+  installationId,
+  owner,
+  repositoryChunks,
+  permissions: requestedPermissions,
+  permissionMismatch,
+  policy,
+}) {
+  const permissions = await checkInstallationPermissions({
+    request,
+    auth,
+    core,
+    installationId,
+    permissions: requestedPermissions,
+    permissionMismatch,
+  });
+
+  if (policy?.policy) {
+    for (const chunk of repositoryChunks) {
+      const tokenRequest = { owner, ...chunk, permissions };
+      await enforcePolicy(policy.policy, policy.context, tokenRequest, core);
+    }
+  }
+
+  const results = await Promise.allSettled(
+    repositoryChunks.map((chunk) =>
+      pRetry(
+        () =>
+          auth({
+            type: "installation",
+            installationId,
+            ...chunk,
+            permissions,
+          }),
+        {
+          shouldRetry: (error) => error.status >= 500,
+          onFailedAttempt: (error) => {
+            core.info(
+              `Failed to create token for "${chunk.repositoryNames?.join(",") ?? owner}" (attempt ${error.attemptNumber}): ${error.message}`
+            );
+          },
+          retries: 3,
+        }
+      )
+    )
+  );
+
+  const failure = results.find((result) => result.status === "rejected");
+  if (failure) {
+    const createdTokens = results.flatMap((result) =>
+      result.status === "fulfilled" ? [result.value.token] : []
+    );
+    if (createdTokens.length > 0) {
+      await revokeTokens(createdTokens, "not all of them could be created", core, request);
+    }
+    throw failure.reason;
+  }
+
+  return repositoryChunks.map((chunk, index) => ({
+    ...chunk,
+    owner,
     permissions,
+    authentication: /** @type {PromiseFulfilledResult<any>} */ (results[index]).value,
+  }));
+}
+
+/**
+ * Revoke created tokens right away, e.g. when the step fails after creating them. They are
+ * still masked, in case they end up in the logs before they are revoked.
+ * @param {string[]} tokens
+ * @param {string} reason - Why the tokens are revoked, for the log message
+ * @param {import("@actions/core")} core
+ * @param {import("@octokit/request").request} request
+ */
+async function revokeTokens(tokens, reason, core, request) {
+  for (const token of tokens) {
+    core.setSecret(token);
+  }
+
+  await Promise.all(
+    tokens.map((token) =>
+      request("DELETE /installation/token", {
+        headers: {
+          authorization: `token ${token}`,
+        },
+      }).catch((revokeError) => {
+        core.warning(`Token revocation failed: ${revokeError.message}`);
+      })
+    )
+  );
+  core.info(`Revoked ${tokens.length} created token(s) as ${reason}.`);
+}
+
+/**
+ * Check created tokens against a policy file that is read with one of them from a
+ * repository, e.g. the organization's `.github` repository. Tokens of the repository's
+ * owner are preferred for reading it. If the policy cannot be read or denies any of the
+ * tokens, all of them are revoked.
+ * @param {PolicyOptions} policyOptions
+ * @param {InstallationToken[]} installationTokens
+ * @param {import("@actions/core")} core
+ * @param {import("@octokit/request").request} request
+ */
+async function enforceRepositoryPolicy(
+  { context, repository = "", file = "" },
+  installationTokens,
+  core,
+  request
+) {
+  const policyOwner = repository.split("/")[0].toLowerCase();
+  const { authentication } =
+    installationTokens.find(({ owner }) => owner.toLowerCase() === policyOwner) ??
+    installationTokens[0];
+
+  try {
+    const policy = await readRepositoryPolicy(request, authentication.token, repository, file);
+    for (const { owner, repositoryNames, repositoryIds, permissions } of installationTokens) {
+      const tokenRequest = { owner, repositoryNames, repositoryIds, permissions };
+      await enforcePolicy(policy, context, tokenRequest, core);
+    }
+  } catch (error) {
+    await revokeTokens(
+      installationTokens.map(({ authentication }) => authentication.token),
+      "the policy check failed",
+      core,
+      request
+    );
+    throw error;
+  }
+}
+
+/**
+ * Set the outputs that describe what the created tokens can do and when they expire. Split
+ * tokens only differ in their repositories, so their repositories are listed together and
+ * the earliest expiry is used.
+ * @param {import("@actions/core")} core
+ * @param {InstallationToken[]} installationTokens
+ * @param {string} [suffix] - Suffix of the output names, e.g. `-<name>` for the `tokens` input
+ */
+function setTokenMetadataOutputs(core, installationTokens, suffix = "") {
+  const [{ authentication }] = installationTokens;
+
+  core.setOutput(
+    `expires-at${suffix}`,
+    installationTokens.map(({ authentication }) => authentication.expiresAt).sort()[0]
+  );
+  core.setOutput(`permissions${suffix}`, JSON.stringify(authentication.permissions ?? {}));
+  core.setOutput(`repository-selection${suffix}`, authentication.repositorySelection);
+
+  // The token response lists the repositories, including those requested by ID
+  core.setOutput(
+    `repositories${suffix}`,
+    installationTokens
+      .flatMap(
+        ({ authentication, repositoryNames }) =>
+          authentication.repositoryNames ?? repositoryNames ?? []
+      )
+      .join(",")
+  );
+}
+
+/**
+ * Split `owner/repo` entries of the `repositories` input into their owner and name. A
+ * token can only be created for the repositories of one installation, so all entries
+ * and the `owner` input must name the same owner.
+ * @param {string} owner - The `owner` input
+ * @param {string[]} repositories - Entries of the `repositories` input
+ * @returns {{ owner: string, repositories: string[] }} The owner of the `owner/repo`
+ *   entries, if any, and the repository names
+ */
+function parseQualifiedRepositories(owner, repositories) {
+  const owners = new Map(owner ? [[owner.toLowerCase(), owner]] : []);
+  let repositoriesOwner = "";
+
+  const names = repositories.map((entry) => {
+    // Exclusions can be qualified too, e.g. `!my-org/legacy-*`
+    const prefix = entry.startsWith("!") ? "!" : "";
+    const [repositoryOwner, name, ...rest] = entry.slice(prefix.length).split("/");
+    if (name === undefined) {
+      return entry;
+    }
+    if (!repositoryOwner || !name || rest.length > 0) {
+      throw new Error(`'repositories' entry '${entry}' must be a repository name or 'owner/repo'`);
+    }
+
+    owners.set(repositoryOwner.toLowerCase(), repositoryOwner);
+    repositoriesOwner = repositoryOwner;
+    return `${prefix}${name}`;
   });
 
-  const installationId = response.data.id;
-  const appSlug = response.data["app_slug"];
+  if (owners.size > 1) {
+    throw new Error(
+      `'owner' and 'repositories' name more than one owner (${[...owners.values()].join(", ")}), but a token can only be created for the repositories of a single installation. Use 'tokens' to create a token for each owner.`
+    );
+  }
 
-  return { authentication, installationId, appSlug };
+  return { owner: repositoriesOwner, repositories: names };
 }
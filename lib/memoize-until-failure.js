@@ -0,0 +1,21 @@
+// @ts-check
+
+/**
+ * Wrap an async function so it runs once per run and every call shares its result, e.g.
+ * to log in or load a key once. If it fails, the next call runs it again.
+ * @template T
+ * @param {() => Promise<T>} fn
+ * @returns {() => Promise<T>}
+ */
+export function memoizeUntilFailure(fn) {
+  /** @type {Promise<T> | undefined} */
+  let promise;
+
+  return () => {
+    promise ??= fn().catch((error) => {
+      promise = undefined;
+      throw error;
+    });
+    return promise;
+  };
+}
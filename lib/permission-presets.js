@@ -0,0 +1,107 @@
+// @ts-check
+
+import { readFileSync } from "node:fs";
+import { resolve } from "node:path";
+
+import YAML from "yaml";
+
+import { normalizePermissionName } from "./get-permissions-from-inputs.js";
+
+export const DEFAULT_PRESETS_FILE = ".github/app-token-presets.yml";
+
+/**
+ * Presets available without a presets file. A preset with the same name in the presets
+ * file replaces the built-in one.
+ * @type {Record<string, Record<string, string>>}
+ */
+export const BUILT_IN_PRESETS = {
+  "read-only": { contents: "read", metadata: "read" },
+  release: { contents: "write", metadata: "read" },
+  "dependency-bot": { contents: "write", metadata: "read", pull_requests: "write" },
+};
+
+/**
+ * Resolves the `permissions-preset` input from the presets file of the repository, or
+ * from the built-in presets. The presets file is a YAML map of preset names to
+ * permissions, e.g. `release: { contents: write }`.
+ *
+ * @param {string} name - Value of the `permissions-preset` input
+ * @param {Object} options
+ * @param {string} options.workspace - Directory the presets file is relative to
+ * @param {string} [options.file] - Value of the `permissions-presets-file` input. If
+ *   unset, the default presets file is read if it exists.
+ * @returns {{ permissions: Record<string, string>, source: string }} The permissions of
+ *   the preset, and where it was found
+ */
+export function getPermissionPreset(name, { workspace, file }) {
+  const presetsFile = file || DEFAULT_PRESETS_FILE;
+  const presets = readPresetsFile(resolve(workspace, presetsFile), presetsFile, !file);
+
+  if (presets && Object.hasOwn(presets, name)) {
+    return { permissions: presets[name], source: presetsFile };
+  }
+  if (Object.hasOwn(BUILT_IN_PRESETS, name)) {
+    return { permissions: BUILT_IN_PRESETS[name], source: "built-in presets" };
+  }
+
+  const available = [...new Set([...Object.keys(presets ?? {}), ...Object.keys(BUILT_IN_PRESETS)])];
+  throw new Error(
+    `Unknown permission preset '${name}'. Available presets: ${available.join(", ")}`
+  );
+}
+
+/**
+ * @param {string} path - Absolute path of the presets file
+ * @param {string} presetsFile - Path of the presets file as configured, for error messages
+ * @param {boolean} optional - Whether a missing file is ignored
+ * @returns {undefined | Record<string, Record<string, string>>}
+ */
+function readPresetsFile(path, presetsFile, optional) {
+  let content;
+  try {
+    content = readFileSync(path, "utf8");
+  } catch (error) {
+    if (optional && error.code === "ENOENT") {
+      return undefined;
+    }
+    throw new Error(`Could not read permission presets file '${presetsFile}': ${error.message}`, {
+      cause: error,
+    });
+  }
+
+  let presets;
+  try {
+    presets = YAML.parse(content);
+  } catch (error) {
+    throw new Error(`'${presetsFile}' is not valid YAML: ${error.message}`, { cause: error });
+  }
+
+  if (presets === null || typeof presets !== "object" || Array.isArray(presets)) {
+    throw new Error(`'${presetsFile}' must map preset names to permissions`);
+  }
+
+  return Object.fromEntries(
+    Object.entries(presets).map(([name, permissions]) => {
+      if (
+        permissions === null ||
+        typeof permissions !== "object" ||
+        Array.isArray(permissions) ||
+        !Object.values(permissions).every((access) => typeof access === "string")
+      ) {
+        throw new Error(
+          `Preset '${name}' in '${presetsFile}' must map permission names to access levels, e.g. 'contents: read'`
+        );
+      }
+
+      return [
+        name,
+        Object.fromEntries(
+          Object.entries(permissions).map(([permission, access]) => [
+            normalizePermissionName(permission),
+            access,
+          ])
+        ),
+      ];
+    })
+  );
+}
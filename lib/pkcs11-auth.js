@@ -0,0 +1,189 @@
+// @ts-check
+
+import { createRequire } from "node:module";
+
+import { createSignerAppAuth } from "./signer-auth.js";
+
+// Large enough for RSA keys up to 8192 bits
+const MAX_SIGNATURE_LENGTH = 1024;
+
+/**
+ * @typedef {Object} Pkcs11Options
+ * @property {string} pkcs11Module - Path to the PKCS#11 module (shared library) of the HSM
+ * @property {string} pkcs11TokenLabel - Label of the token that holds the key
+ * @property {string} pkcs11KeyLabel - Label of the RSA private key
+ * @property {string} [pkcs11Pin] - User PIN of the token
+ * @property {() => Promise<typeof import("pkcs11js")>} [loadPkcs11js] - Loads the PKCS#11
+ *   bindings (defaults to importing `pkcs11js`)
+ */
+
+/**
+ * Load the PKCS#11 bindings. They are a native module, so they are not bundled, are loaded
+ * on first use and only need to be installed on runners that sign with an HSM. They are
+ * loaded with `require`, as `import()` does not look up packages in NODE_PATH.
+ * @returns {Promise<typeof import("pkcs11js")>}
+ */
+async function importPkcs11js() {
+  try {
+    return createRequire(import.meta.url)("pkcs11js");
+  } catch (error) {
+    throw new Error(
+      `The PKCS#11 signer requires the 'pkcs11js' package. Install it on the runner, e.g. with 'npm install --prefix <directory> pkcs11js@2', and set NODE_PATH to '<directory>/node_modules'. (${error.message.split("\n")[0]})`,
+      { cause: error }
+    );
+  }
+}
+
+/**
+ * Translate a PKCS#11 error into an error that says what needs fixing
+ * @param {any} error - Error thrown by pkcs11js
+ * @param {Pkcs11Options} options
+ * @returns {Error}
+ */
+function describePkcs11Error(error, { pkcs11TokenLabel, pkcs11KeyLabel }) {
+  const details = `(${error.message})`;
+
+  switch (error.message) {
+    case "CKR_PIN_INCORRECT":
+    case "CKR_PIN_LEN_RANGE":
+      return new Error(
+        `The PKCS#11 token '${pkcs11TokenLabel}' rejected the PIN. Check 'pkcs11-pin'. ${details}`,
+        { cause: error }
+      );
+    case "CKR_PIN_LOCKED":
+      return new Error(
+        `The user PIN of the PKCS#11 token '${pkcs11TokenLabel}' is locked. Unlock it with the security officer PIN. ${details}`,
+        { cause: error }
+      );
+    case "CKR_MECHANISM_INVALID":
+    case "CKR_KEY_TYPE_INCONSISTENT":
+    case "CKR_KEY_FUNCTION_NOT_PERMITTED":
+      return new Error(
+        `The PKCS#11 key '${pkcs11KeyLabel}' cannot sign with CKM_SHA256_RSA_PKCS. It must be an RSA private key with CKA_SIGN set. ${details}`,
+        { cause: error }
+      );
+    default:
+      return new Error(
+        `The PKCS#11 token '${pkcs11TokenLabel}' could not sign with the key '${pkcs11KeyLabel}' ${details}`,
+        { cause: error }
+      );
+  }
+}
+
+/**
+ * Create a signing function that signs with `CKM_SHA256_RSA_PKCS` through a PKCS#11
+ * module. Each signature opens and closes its own session, as the JWT is cached and
+ * only signed once or twice per run.
+ * @param {Pkcs11Options} options
+ * @returns {(payload: string) => Promise<string>} Returns the base64url signature
+ */
+function createPkcs11Signer(options) {
+  const {
+    pkcs11Module,
+    pkcs11TokenLabel,
+    pkcs11KeyLabel,
+    pkcs11Pin,
+    loadPkcs11js = importPkcs11js,
+  } = options;
+
+  return async (payload) => {
+    const pkcs11js = await loadPkcs11js();
+    const pkcs11 = new pkcs11js.PKCS11();
+
+    try {
+      pkcs11.load(pkcs11Module);
+    } catch (error) {
+      throw new Error(`Could not load the PKCS#11 module '${pkcs11Module}' (${error.message})`, {
+        cause: error,
+      });
+    }
+
+    let initialized = false;
+    let session;
+    let signature;
+    try {
+      pkcs11.C_Initialize();
+      initialized = true;
+
+      // Token labels are padded with spaces to 32 characters
+      const slot = pkcs11
+        .C_GetSlotList(true)
+        .find((slot) => pkcs11.C_GetTokenInfo(slot).label.trim() === pkcs11TokenLabel);
+      if (!slot) {
+        throw new Error(
+          `No PKCS#11 token with the label '${pkcs11TokenLabel}' was found in '${pkcs11Module}'`
+        );
+      }
+
+      session = pkcs11.C_OpenSession(slot, pkcs11js.CKF_SERIAL_SESSION);
+      if (pkcs11Pin) {
+        pkcs11.C_Login(session, pkcs11js.CKU_USER, pkcs11Pin);
+      }
+
+      pkcs11.C_FindObjectsInit(session, [
+        { type: pkcs11js.CKA_CLASS, value: pkcs11js.CKO_PRIVATE_KEY },
+        { type: pkcs11js.CKA_LABEL, value: pkcs11KeyLabel },
+      ]);
+      const keys = pkcs11.C_FindObjects(session, 2);
+      pkcs11.C_FindObjectsFinal(session);
+
+      if (keys.length !== 1) {
+        throw new Error(
+          keys.length === 0
+            ? `No private key with the label '${pkcs11KeyLabel}' was found on the PKCS#11 token '${pkcs11TokenLabel}'${pkcs11Pin ? "" : ". Set 'pkcs11-pin' if the key is only visible after login"}`
+            : `More than one private key with the label '${pkcs11KeyLabel}' was found on the PKCS#11 token '${pkcs11TokenLabel}'`
+        );
+      }
+
+      pkcs11.C_SignInit(session, { mechanism: pkcs11js.CKM_SHA256_RSA_PKCS }, keys[0]);
+      signature = pkcs11.C_Sign(session, Buffer.from(payload), Buffer.alloc(MAX_SIGNATURE_LENGTH));
+    } catch (error) {
+      // Errors of pkcs11js are named after the PKCS#11 return value
+      throw /^CKR_/.test(error.message) ? describePkcs11Error(error, options) : error;
+    } finally {
+      if (session !== undefined) {
+        pkcs11.C_CloseSession(session);
+      }
+      if (initialized) {
+        pkcs11.C_Finalize();
+      }
+      pkcs11.close();
+    }
+
+    return signature.toString("base64url");
+  };
+}
+
+/**
+ * Create an app auth instance that signs with a private key on a PKCS#11 token, e.g. an HSM
+ * @param {Pkcs11Options & {
+ *   appId: string,
+ *   request: import("@octokit/request").request,
+ *   log?: { warn: (message: string) => void },
+ * }} options - PKCS#11 options, the GitHub App ID, an Octokit request instance and a
+ *   logger for clock skew warnings (defaults to console)
+ * @returns {Function}
+ */
+export function createPkcs11AppAuth({ appId, request, log, ...options }) {
+  for (const [input, value] of [
+    ["pkcs11-token-label", options.pkcs11TokenLabel],
+    ["pkcs11-key-label", options.pkcs11KeyLabel],
+  ]) {
+    if (!value) {
+      throw new Error(`'${input}' is required when 'pkcs11-module' is provided`);
+    }
+  }
+
+  return createSignerAppAuth({
+    appId,
+    request,
+    log,
+    signers: [
+      {
+        // RFC 7512 PKCS#11 URI of the key
+        name: `pkcs11:token=${encodeURIComponent(options.pkcs11TokenLabel)};object=${encodeURIComponent(options.pkcs11KeyLabel)};type=private`,
+        sign: createPkcs11Signer(options),
+      },
+    ],
+  });
+}
@@ -0,0 +1,442 @@
+// @ts-check
+
+import { readFileSync } from "node:fs";
+import { resolve } from "node:path";
+
+import YAML from "yaml";
+
+import { normalizePermissionName } from "./get-permissions-from-inputs.js";
+import { globToRegExp } from "./installation-repositories.js";
+import { isAccessWithin, validatePermissions } from "./validate-permissions.js";
+
+// Conditions of a rule, and the claims of the job's OIDC token they match
+const CONDITIONS = {
+  workflow: "job_workflow_ref",
+  ref: "ref",
+  event: "event_name",
+  environment: "environment",
+};
+
+const RULE_KEYS = ["name", ...Object.keys(CONDITIONS), "permissions", "repositories"];
+
+/**
+ * @typedef {Object} PolicyRule
+ * @property {string} name - Name of the rule, or its position, for log messages
+ * @property {Partial<Record<keyof CONDITIONS, string[]>>} conditions - Glob patterns the
+ *   workflow run must match
+ * @property {Record<string, string>} [permissions] - Highest permissions the rule allows,
+ *   any permissions if unset
+ * @property {string[]} [repositories] - `owner/repo` glob patterns of the repositories the
+ *   rule allows, any repositories if unset
+ */
+
+/**
+ * @typedef {Object} Policy
+ * @property {string} source - Where the policy was read from, for log messages
+ * @property {PolicyRule[]} rules
+ */
+
+/**
+ * @typedef {Partial<Record<keyof CONDITIONS, string>>} WorkflowRun - The workflow run that
+ *   requests the token, with the values the conditions of a rule match
+ */
+
+/**
+ * @typedef {Object} PolicyContext
+ * @property {() => Promise<WorkflowRun>} getRun - Read the workflow run on first use
+ */
+
+/**
+ * @typedef {Object} TokenRequest
+ * @property {string} owner
+ * @property {string[]} [repositoryNames] - Unset for all repositories of the installation
+ * @property {number[]} [repositoryIds]
+ * @property {Record<string, string>} [permissions] - Unset for all permissions of the installation
+ */
+
+/**
+ * Parse a policy file. A policy is a list of `rules`, and a token is only created if
+ * one of the rules that match the workflow run allows its permissions and repositories.
+ *
+ * @param {string} content - YAML or JSON content of the policy file
+ * @param {string} source - Where the policy was read from, for error and log messages
+ * @returns {Policy}
+ */
+export function parsePolicy(content, source) {
+  let policy;
+  try {
+    policy = YAML.parse(content);
+  } catch (error) {
+    throw new Error(`Policy ${source} is not valid YAML or JSON: ${error.message}`, {
+      cause: error,
+    });
+  }
+
+  if (!Array.isArray(policy?.rules)) {
+    throw new Error(`Policy ${source} must have a list of 'rules'`);
+  }
+
+  return {
+    source,
+    rules: policy.rules.map((rule, index) => parseRule(rule, `${index + 1}`, source)),
+  };
+}
+
+/**
+ * Read a policy file from the workspace
+ * @param {string} policyFile - Value of the `policy-file` input
+ * @param {string} workspace - Directory the policy file is relative to
+ * @returns {Policy}
+ */
+export function readPolicyFile(policyFile, workspace) {
+  let content;
+  try {
+    content = readFileSync(resolve(workspace, policyFile), "utf8");
+  } catch (error) {
+    throw new Error(`Could not read policy file '${policyFile}': ${error.message}`, {
+      cause: error,
+    });
+  }
+  return parsePolicy(content, `'${policyFile}'`);
+}
+
+/**
+ * Read a policy file from a repository with a created token, e.g. from the organization's
+ * `.github` repository
+ * @param {import("@octokit/request").request} request
+ * @param {string} token - Installation access token with access to the repository
+ * @param {string} repository - `owner/repo`
+ * @param {string} policyFile - Path of the policy file in the repository
+ * @returns {Promise<Policy>}
+ */
+export async function readRepositoryPolicy(request, token, repository, policyFile) {
+  const source = `'${policyFile}' in ${repository}`;
+  const [owner, repo] = repository.split("/");
+
+  let data;
+  try {
+    // https://docs.github.com/rest/repos/contents#get-repository-content
+    ({ data } = await request("GET /repos/{owner}/{repo}/contents/{path}", {
+      owner,
+      repo,
+      path: policyFile,
+      headers: {
+        authorization: `token ${token}`,
+        accept: "application/vnd.github.raw+json",
+      },
+    }));
+  } catch (error) {
+    throw new Error(
+      `Could not read policy ${source} with the created token, which needs 'contents: read' access to ${repository} (${error.message})`,
+      { cause: error }
+    );
+  }
+
+  return parsePolicy(String(data), source);
+}
+
+/**
+ * Get the workflow run that requests the token. It is read from the claims of the job's
+ * OIDC token, which GitHub signs, so the job cannot change them. Without the
+ * `id-token: write` permission, the workflow, ref and event are read from the environment
+ * variables instead, and the deployment environment is unknown.
+ * @param {NodeJS.ProcessEnv} env
+ * @param {import("@actions/core")} core
+ * @returns {PolicyContext}
+ */
+export function getPolicyContext(env, core) {
+  /** @type {Promise<WorkflowRun> | undefined} */
+  let run;
+
+  return {
+    getRun: () =>
+      (run ??= core.getIDToken().then(
+        (idToken) => {
+          const claims = JSON.parse(
+            Buffer.from(idToken.split(".")[1], "base64url").toString("utf8")
+          );
+          return {
+            workflow: claims.job_workflow_ref ?? env.GITHUB_WORKFLOW_REF,
+            ref: claims.ref ?? env.GITHUB_REF,
+            event: claims.event_name ?? env.GITHUB_EVENT_NAME,
+            environment: claims.environment,
+          };
+        },
+        (error) => {
+          core.info(
+            `Policy: the workflow run is read from environment variables and the deployment environment is unknown, as the OIDC token requires the 'id-token: write' permission (${error.message})`
+          );
+          return {
+            workflow: env.GITHUB_WORKFLOW_REF,
+            ref: env.GITHUB_REF,
+            event: env.GITHUB_EVENT_NAME,
+          };
+        }
+      )),
+  };
+}
+
+/**
+ * Allow a token request if one of the policy rules that match the workflow run allows its
+ * permissions and repositories, and log the decision. Otherwise throw an error that
+ * explains why each matching rule denies it.
+ * @param {Policy} policy
+ * @param {PolicyContext} context
+ * @param {TokenRequest} tokenRequest
+ * @param {import("@actions/core")} core
+ */
+export async function enforcePolicy(policy, context, tokenRequest, core) {
+  await evaluatePolicy(
+    policy,
+    context,
+    describeTokenRequest(tokenRequest),
+    (rule) => getDenyReason(rule, tokenRequest),
+    core
+  );
+}
+
+/**
+ * Check a token request before its repositories are resolved, so that no token is created
+ * to look them up for a request the policy denies. One of the matching rules must allow
+ * repositories of the owner and, unless they are downgraded later, the permissions. The
+ * resolved request is checked with `enforcePolicy` before its token is created.
+ * @param {Policy} policy
+ * @param {PolicyContext} context
+ * @param {TokenRequest} tokenRequest - The owner, and the permissions if they are final
+ * @param {import("@actions/core")} core
+ * @param {boolean} checkPermissions - Whether the permissions are final
+ */
+export async function enforceOwnerPolicy(policy, context, tokenRequest, core, checkPermissions) {
+  const { owner, permissions } = tokenRequest;
+  await evaluatePolicy(
+    policy,
+    context,
+    `a token for repositories of ${owner}${checkPermissions ? ` with ${describePermissions(permissions)}` : ""}`,
+    (rule) =>
+      (checkPermissions ? getPermissionsDenyReason(rule, permissions) : undefined) ??
+      getOwnerDenyReason(rule, owner),
+    core
+  );
+}
+
+/**
+ * Allow a request if one of the policy rules that match the workflow run allows it, and log
+ * the decision. Otherwise throw an error that explains why each matching rule denies it.
+ * @param {Policy} policy
+ * @param {PolicyContext} context
+ * @param {string} description - The request, for log and error messages
+ * @param {(rule: PolicyRule) => string | undefined} getReason - Why a rule denies the request
+ * @param {import("@actions/core")} core
+ */
+async function evaluatePolicy(policy, context, description, getReason, core) {
+  const reasons = [];
+
+  for (const rule of policy.rules) {
+    if (!(await matchesRule(rule, context))) {
+      continue;
+    }
+
+    const reason = getReason(rule);
+    if (!reason) {
+      core.info(`Policy ${policy.source}: rule ${rule.name} allows ${description}`);
+      return;
+    }
+    reasons.push(`rule ${rule.name} ${reason}`);
+  }
+
+  const { workflow = "", ref = "", event = "", environment } = await context.getRun();
+  const run = `workflow '${workflow}', ref '${ref}', event '${event}'${environment ? `, environment '${environment}'` : ""}`;
+  throw new Error(
+    reasons.length > 0
+      ? `Policy ${policy.source} denies ${description} for ${run}:${reasons.map((reason) => `\n- ${reason}`).join("")}`
+      : `Policy ${policy.source} denies ${description}: no rule matches ${run}`
+  );
+}
+
+/**
+ * @param {any} rule
+ * @param {string} position
+ * @param {string} source
+ * @returns {PolicyRule}
+ */
+function parseRule(rule, position, source) {
+  if (rule === null || typeof rule !== "object" || Array.isArray(rule)) {
+    throw new Error(`Rule ${position} of policy ${source} must be an object`);
+  }
+
+  const name = rule.name ? `'${rule.name}'` : position;
+  const unknownKeys = Object.keys(rule).filter((key) => !RULE_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    throw new Error(
+      `Rule ${name} of policy ${source} has unknown keys: ${unknownKeys.join(", ")}. Allowed keys are ${RULE_KEYS.join(", ")}`
+    );
+  }
+
+  /** @type {PolicyRule["conditions"]} */
+  const conditions = {};
+  for (const condition of /** @type {(keyof CONDITIONS)[]} */ (Object.keys(CONDITIONS))) {
+    if (rule[condition] !== undefined) {
+      conditions[condition] = parsePatterns(rule[condition], `'${condition}'`, name, source);
+    }
+  }
+
+  let permissions;
+  if (rule.permissions !== undefined) {
+    if (
+      rule.permissions === null ||
+      typeof rule.permissions !== "object" ||
+      Array.isArray(rule.permissions)
+    ) {
+      throw new Error(
+        `Rule ${name} of policy ${source} must have 'permissions' mapping permission names to access levels`
+      );
+    }
+    permissions = Object.fromEntries(
+      Object.entries(rule.permissions).map(([permission, access]) => [
+        normalizePermissionName(permission),
+        access,
+      ])
+    );
+    validatePermissions(permissions, `Rule ${name} of policy ${source}`);
+  }
+
+  return {
+    name,
+    conditions,
+    permissions,
+    repositories:
+      rule.repositories === undefined
+        ? undefined
+        : parsePatterns(rule.repositories, "'repositories'", name, source),
+  };
+}
+
+/**
+ * @param {unknown} value - A pattern or a list of patterns
+ * @param {string} key
+ * @param {string} name
+ * @param {string} source
+ * @returns {string[]}
+ */
+function parsePatterns(value, key, name, source) {
+  const patterns = Array.isArray(value) ? value : [value];
+  if (!patterns.every((pattern) => typeof pattern === "string")) {
+    throw new Error(
+      `Rule ${name} of policy ${source} must have a pattern or list of patterns as ${key}`
+    );
+  }
+  return patterns;
+}
+
+/**
+ * Whether the workflow run matches all conditions of a rule. Only repository names are
+ * case-insensitive, so the conditions are matched case-sensitively.
+ * @param {PolicyRule} rule
+ * @param {PolicyContext} context
+ * @returns {Promise<boolean>}
+ */
+async function matchesRule(rule, context) {
+  const run = await context.getRun();
+  for (const [condition, patterns] of Object.entries(rule.conditions)) {
+    const value = run[condition];
+    if (value === undefined || !patterns.some((pattern) => globToRegExp(pattern, "").test(value))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Why a rule does not allow a token request, if it doesn't
+ * @param {PolicyRule} rule
+ * @param {TokenRequest} tokenRequest
+ * @returns {string | undefined}
+ */
+function getDenyReason(rule, { owner, repositoryNames, repositoryIds, permissions }) {
+  const reason = getPermissionsDenyReason(rule, permissions);
+  if (reason) {
+    return reason;
+  }
+
+  if (rule.repositories) {
+    const patterns = rule.repositories.map((pattern) => globToRegExp(pattern));
+    if (repositoryIds) {
+      return "does not allow repository IDs, set the repositories of the token by name";
+    }
+    if (!repositoryNames) {
+      return "does not allow all repositories of the installation, set the repositories of the token";
+    }
+    const denied = repositoryNames.filter(
+      (name) => !patterns.some((pattern) => pattern.test(`${owner}/${name}`))
+    );
+    if (denied.length > 0) {
+      return `does not allow ${denied.map((name) => `${owner}/${name}`).join(", ")}`;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Why a rule does not allow the permissions of a token request, if it doesn't
+ * @param {PolicyRule} rule
+ * @param {TokenRequest["permissions"]} permissions
+ * @returns {string | undefined}
+ */
+function getPermissionsDenyReason(rule, permissions) {
+  if (!rule.permissions) {
+    return undefined;
+  }
+  if (!permissions) {
+    return "does not allow all permissions of the installation, set the permissions of the token";
+  }
+  const exceeding = Object.entries(permissions).filter(
+    ([permission, access]) => !isAccessWithin(access, rule.permissions?.[permission])
+  );
+  if (exceeding.length > 0) {
+    return `does not allow ${exceeding.map(([permission, access]) => `${permission}: ${access}`).join(", ")}`;
+  }
+  return undefined;
+}
+
+/**
+ * Why a rule does not allow any repositories of an owner, if it doesn't
+ * @param {PolicyRule} rule
+ * @param {string} owner
+ * @returns {string | undefined}
+ */
+function getOwnerDenyReason(rule, owner) {
+  if (
+    rule.repositories &&
+    !rule.repositories.some((pattern) => globToRegExp(pattern.split("/")[0]).test(owner))
+  ) {
+    return `does not allow repositories of ${owner}`;
+  }
+  return undefined;
+}
+
+/**
+ * @param {TokenRequest} tokenRequest
+ * @returns {string}
+ */
+function describeTokenRequest({ owner, repositoryNames, repositoryIds, permissions }) {
+  const repositories = [
+    ...(repositoryNames ?? []).map((name) => `${owner}/${name}`),
+    ...(repositoryIds ?? []).map((id) => `repository ID ${id}`),
+  ];
+  const scope = repositories.length > 0 ? repositories.join(", ") : `all repositories of ${owner}`;
+
+  return `a token for ${scope} with ${describePermissions(permissions)}`;
+}
+
+/**
+ * @param {TokenRequest["permissions"]} permissions
+ * @returns {string}
+ */
+function describePermissions(permissions) {
+  return permissions
+    ? Object.entries(permissions)
+        .map(([permission, level]) => `${permission}: ${level}`)
+        .join(", ")
+    : "all permissions of the installation";
+}
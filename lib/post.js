@@ -12,6 +12,15 @@ export async function post(core, request) {
     return;
   }
 
+  // Tokens created with the `tokens` input
+  const tokens = core.getState("tokens");
+  if (tokens) {
+    for (const { name, token, expiresAt } of JSON.parse(tokens)) {
+      await revokeToken(core, request, token, expiresAt, `Token '${name}'`);
+    }
+    return;
+  }
+
   const token = core.getState("token");
 
   if (!token) {
@@ -19,9 +28,19 @@ export async function post(core, request) {
     return;
   }
 
-  const expiresAt = core.getState("expiresAt");
+  await revokeToken(core, request, token, core.getState("expiresAt"), "Token");
+}
+
+/**
+ * @param {import("@actions/core")} core
+ * @param {import("@octokit/request").request} request
+ * @param {string} token
+ * @param {string} expiresAt
+ * @param {string} label - Names the token in log messages
+ */
+async function revokeToken(core, request, token, expiresAt, label) {
   if (expiresAt && tokenExpiresIn(expiresAt) < 0) {
-    core.info("Token expired, skipping token revocation");
+    core.info(`${label} expired, skipping token revocation`);
     return;
   }
 
@@ -31,9 +50,9 @@ export async function post(core, request) {
         authorization: `token ${token}`,
       },
     });
-    core.info("Token revoked");
+    core.info(`${label} revoked`);
   } catch (error) {
-    core.warning(`Token revocation failed: ${error.message}`);
+    core.warning(`${label} revocation failed: ${error.message}`);
   }
 }
 
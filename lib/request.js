@@ -31,6 +31,10 @@ const proxyFetch = (url, options) => {
 };
 /* c8 ignore stop */
 
+// Requests to other services than GitHub, e.g. Vault or a cloud KMS, go through the same proxy
+/* c8 ignore next */
+export const fetch = proxyUrl ? proxyFetch : globalThis.fetch;
+
 export default request.defaults({
   headers: {
     "user-agent": "actions/create-github-app-token",
@@ -0,0 +1,320 @@
+// @ts-check
+
+// Signed JWTs are reused until this many seconds before they expire
+const JWT_REFRESH_MARGIN_SECONDS = 60;
+
+/**
+ * @typedef {Object} Signer
+ * @property {string} name - Identifies the key, e.g. in the `signing-key` output
+ * @property {(payload: string) => Promise<string>} sign - Returns the base64url RS256 signature of the payload
+ */
+
+/**
+ * Create a GitHub App JWT signed by an external signer
+ * @param {string} appId - GitHub App ID
+ * @param {(payload: string) => Promise<string>} sign - Signing function
+ * @param {number} [timeDifference] - Seconds to add to the system time to match GitHub's clock
+ * @returns {Promise<{ jwt: string, expiration: number }>} JWT token and its `exp` claim
+ */
+async function createSignedJwt(appId, sign, timeDifference = 0) {
+  const now = Math.floor(Date.now() / 1000) + timeDifference;
+  const payload = {
+    iat: now - 60, // issued at time, 60 seconds in the past to allow for clock drift
+    exp: now + 600, // expires in 10 minutes
+    iss: Number(appId), // Convert to number to match Python implementation
+  };
+
+  const header = {
+    typ: "JWT",
+    alg: "RS256",
+  };
+
+  // Use compact JSON encoding (no spaces) to match the Python implementation
+  const encodedHeader = Buffer.from(JSON.stringify(header).replace(/\s/g, ""))
+    .toString("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=/g, "");
+
+  const encodedPayload = Buffer.from(JSON.stringify(payload).replace(/\s/g, ""))
+    .toString("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=/g, "");
+
+  const signatureInput = `${encodedHeader}.${encodedPayload}`;
+  const signature = await sign(signatureInput);
+
+  return { jwt: `${signatureInput}.${signature}`, expiration: payload.exp };
+}
+
+/**
+ * Whether GitHub rejected the JWT because its timestamps do not match GitHub's clock
+ * @param {any} error - Request error
+ * @returns {boolean}
+ */
+function isTimeSkewError(error) {
+  return (
+    /'Issued at' claim \('iat'\) must be an Integer representing the time that the assertion was issued/.test(
+      error.message
+    ) ||
+    /'Expiration time' claim \('exp'\) must be a numeric value representing the future time at which the assertion expires/.test(
+      error.message
+    )
+  );
+}
+
+/**
+ * Whether GitHub rejected the JWT because it was not signed by one of the app's keys
+ * @param {any} error - Request error
+ * @returns {boolean}
+ */
+function isUndecodableJwtError(error) {
+  return error.status === 401 && /could not be decoded/i.test(error.message);
+}
+
+/**
+ * Create an app auth instance that signs JWTs with external signers, such as AWS KMS.
+ * It returns the same `auth` function and `auth.hook` as `createAppAuth` from
+ * `@octokit/auth-app`, so it can be used in its place.
+ *
+ * Signers are used in order: when the current signer throws an error for which
+ * `isSignerUnavailableError` returns true, or GitHub cannot decode a JWT it signed,
+ * the next signer is used for the rest of the run. Concurrent requests that fail with the
+ * same signer only fall over once, and the others are retried with the next signer.
+ * @param {Object} options
+ * @param {string} options.appId - GitHub App ID
+ * @param {import("@octokit/request").request} options.request - Octokit request instance
+ * @param {Signer[]} options.signers - Ordered list of signers
+ * @param {(error: any) => boolean} [options.isSignerUnavailableError] - Whether to fall over to the next signer after a signing error
+ * @param {{ warn: (message: string) => void }} [options.log] - Logger for retry and failover warnings (defaults to console)
+ * @returns {Function}
+ */
+export function createSignerAppAuth({
+  appId,
+  request,
+  signers,
+  isSignerUnavailableError = () => false,
+  log = console,
+}) {
+  // Index of the signer currently used for signing
+  let keyIndex = 0;
+
+  /**
+   * Move on to the next signer, if there is one
+   * @param {string} reason - Why the current signer cannot be used
+   * @returns {boolean} Whether there was a next signer
+   */
+  const failOver = (reason) => {
+    if (keyIndex + 1 >= signers.length) {
+      return false;
+    }
+
+    log.warn(
+      `${reason} Falling over from signing key ${signers[keyIndex].name} to ${signers[keyIndex + 1].name}.`
+    );
+    keyIndex++;
+    return true;
+  };
+
+  /**
+   * Sign with the current signer, falling over to the next signers while they are unavailable
+   * @param {string} payload - JWT signing input
+   * @returns {Promise<{ signature: string, signingKey: string }>} The signature and the key
+   *   that signed it
+   */
+  const sign = async (payload) => {
+    const signer = signers[keyIndex];
+    try {
+      return { signature: await signer.sign(payload), signingKey: signer.name };
+    } catch (error) {
+      if (!isSignerUnavailableError(error) || !failOver(error.message)) {
+        throw error;
+      }
+      return sign(payload);
+    }
+  };
+
+  // Offset in seconds between GitHub's clock and the system clock, learned from
+  // the first time skew error and reused for all later JWTs
+  let timeDifference = 0;
+
+  /** @type {{ jwt: string, expiration: number, signingKey: string } | undefined} */
+  let cachedJwt;
+
+  /** @type {Promise<{ jwt: string, expiration: number, signingKey: string }> | undefined} */
+  let pendingJwt;
+
+  /**
+   * Return the cached JWT, or sign a new one if it is missing or about to expire.
+   * Concurrent requests, e.g. for several tokens, wait for the same signature.
+   * @returns {Promise<{ jwt: string, expiration: number, signingKey: string }>}
+   */
+  const getJwt = async () => {
+    const now = Math.floor(Date.now() / 1000) + timeDifference;
+    if (cachedJwt && cachedJwt.expiration - JWT_REFRESH_MARGIN_SECONDS > now) {
+      return cachedJwt;
+    }
+
+    // Signing may fall over to another signer
+    let signingKey = "";
+    pendingJwt ??= createSignedJwt(
+      appId,
+      async (payload) => {
+        const signed = await sign(payload);
+        signingKey = signed.signingKey;
+        return signed.signature;
+      },
+      timeDifference
+    )
+      .then(({ jwt, expiration }) => {
+        cachedJwt = { jwt, expiration, signingKey };
+        return cachedJwt;
+      })
+      .finally(() => {
+        pendingJwt = undefined;
+      });
+    return pendingJwt;
+  };
+
+  /**
+   * Send a request authenticated with the app JWT. Any 401 response invalidates the
+   * cached JWT, unless it was already replaced. If GitHub cannot decode the JWT, the request
+   * is retried with the next signer, or with the current one if a concurrent request
+   * already fell over.
+   * If GitHub rejects the JWT because of clock drift, the offset is computed from the
+   * response's `Date` header and the request is retried once with a new JWT.
+   * @param {import("@octokit/request").request} request - Octokit request instance
+   * @param {string | Object} route - Request route or endpoint options
+   * @param {Object} [parameters] - Request parameters
+   * @returns {Promise<{ response: any, signingKey: string }>} The response and the key that signed the JWT
+   */
+  const requestWithJwt = async (request, route, parameters = {}) => {
+    // Hooks receive already merged endpoint options instead of a route string
+    const endpoint = request.endpoint.merge(route, parameters);
+
+    /** @type {{ jwt: string, signingKey: string } | undefined} */
+    let sentJwt;
+
+    const send = async () => {
+      sentJwt = await getJwt();
+      const response = await request({
+        ...endpoint,
+        headers: {
+          ...endpoint.headers,
+          authorization: `Bearer ${sentJwt.jwt}`,
+        },
+      });
+      return { response, signingKey: sentJwt.signingKey };
+    };
+
+    try {
+      return await send();
+    } catch (error) {
+      if (error.status === 401 && cachedJwt?.jwt === sentJwt?.jwt) {
+        cachedJwt = undefined;
+      }
+
+      if (
+        isUndecodableJwtError(error) &&
+        (sentJwt?.signingKey !== signers[keyIndex].name ||
+          failOver(`GitHub could not decode the JWT (${error.message}).`))
+      ) {
+        return requestWithJwt(request, endpoint);
+      }
+
+      if (!isTimeSkewError(error)) {
+        throw error;
+      }
+
+      const date = error.response?.headers?.date;
+      if (!date) {
+        throw error;
+      }
+
+      const diff = Math.floor((Date.parse(date) - Date.parse(new Date().toString())) / 1000);
+      log.warn(error.message);
+      log.warn(
+        `GitHub API time and system time are different by ${diff} seconds. Retrying request with the difference accounted for.`
+      );
+      timeDifference = diff;
+
+      return send();
+    }
+  };
+
+  /**
+   * Auth function that returns authentication tokens
+   * @param {Object} options
+   * @param {'app' | 'installation'} options.type - Type of authentication
+   * @param {number} [options.installationId] - Installation ID (required for installation auth)
+   * @param {string[]} [options.repositoryNames] - Repository names
+   * @param {number[]} [options.repositoryIds] - Repository IDs
+   * @param {Record<string, string>} [options.permissions] - Permissions
+   * @returns {Promise<Object>}
+   */
+  const auth = async (options = {}) => {
+    const { type = "app", installationId, repositoryNames, repositoryIds, permissions } = options;
+
+    if (type === "app") {
+      const { jwt, expiration } = await getJwt();
+      return {
+        type: "app",
+        token: jwt,
+        appId: Number(appId),
+        expiresAt: new Date((expiration - timeDifference) * 1000).toISOString(),
+      };
+    }
+
+    if (type === "installation") {
+      if (!installationId) {
+        throw new Error("installationId is required for installation authentication");
+      }
+
+      const body = {};
+      if (repositoryNames && repositoryNames.length > 0) {
+        body.repositories = repositoryNames;
+      }
+      if (repositoryIds && repositoryIds.length > 0) {
+        body.repository_ids = repositoryIds;
+      }
+      if (permissions) {
+        body.permissions = permissions;
+      }
+
+      // Use a JWT for app authentication to create an installation access token
+      const { response, signingKey } = await requestWithJwt(
+        request,
+        "POST /app/installations/{installation_id}/access_tokens",
+        {
+          installation_id: installationId,
+          ...body,
+        }
+      );
+
+      return {
+        type: "token",
+        token: response.data.token,
+        tokenType: "installation",
+        installationId,
+        expiresAt: response.data.expires_at,
+        permissions: response.data.permissions,
+        repositorySelection: response.data.repository_selection,
+        // Like @octokit/auth-app, the repositories are only listed for selected repositories
+        repositoryIds: response.data.repositories?.map((repository) => repository.id),
+        repositoryNames: response.data.repositories?.map((repository) => repository.name),
+        signingKey,
+      };
+    }
+
+    throw new Error(`Unknown authentication type: ${type}`);
+  };
+
+  // Add a hook function for authenticated requests
+  auth.hook = async (request, route, parameters = {}) => {
+    const { response } = await requestWithJwt(request, route, parameters);
+    return response;
+  };
+
+  return auth;
+}
@@ -0,0 +1,170 @@
+// @ts-check
+
+import appPermissions from "../scripts/generated/app-permissions.json" with { type: "json" };
+
+// Access levels from lowest to highest
+const ACCESS_LEVELS = ["read", "write", "admin"];
+
+/**
+ * Whether an access level is at most another one, e.g. `read` is within `write`
+ * @param {string} access
+ * @param {string | undefined} maxAccess - Unset if no access is allowed
+ * @returns {boolean}
+ */
+export function isAccessWithin(access, maxAccess) {
+  return ACCESS_LEVELS.indexOf(access) <= ACCESS_LEVELS.indexOf(maxAccess);
+}
+
+/**
+ * Validate permission names and access levels against the GitHub App permissions schema,
+ * so typos fail before any request.
+ *
+ * @param {undefined | Record<string, string>} permissions
+ * @param {string} source - What the permissions were set with, for error messages
+ */
+export function validatePermissions(permissions, source) {
+  const errors = Object.entries(permissions ?? {}).flatMap(([permission, access]) => {
+    const schema = appPermissions.properties[permission];
+
+    if (!schema) {
+      const suggestion = suggestPermission(permission);
+      return [
+        `'${permission}' is not a GitHub App permission${suggestion ? `. Did you mean '${suggestion}'?` : ""}`,
+      ];
+    }
+    if (!schema.enum.includes(access)) {
+      return [
+        `'${permission}' must be ${new Intl.ListFormat("en", { type: "disjunction" }).format(
+          schema.enum.map((value) => `'${value}'`)
+        )}, got '${access}'`,
+      ];
+    }
+    return [];
+  });
+
+  if (errors.length > 0) {
+    throw new Error(
+      `${source} has invalid permissions:${errors.map((error) => `\n- ${error}`).join("")}`
+    );
+  }
+}
+
+/**
+ * Compare the requested permissions with the permissions granted to the installation
+ * (`GET /app/installations/{installation_id}`) before creating a token, as GitHub only
+ * responds with a terse 422 error. With `permissionMismatch` set to `downgrade`,
+ * permissions are lowered to the granted ones with a warning instead.
+ *
+ * @param {Object} options
+ * @param {import("@octokit/request").request} options.request
+ * @param {Function & { hook: Function }} options.auth
+ * @param {import("@actions/core")} options.core
+ * @param {number} options.installationId
+ * @param {undefined | Record<string, string>} options.permissions - Requested permissions
+ * @param {string} [options.permissionMismatch] - `fail` or `downgrade`
+ * @returns {Promise<undefined | Record<string, string>>} The permissions to request
+ */
+export async function checkInstallationPermissions({
+  request,
+  auth,
+  core,
+  installationId,
+  permissions,
+  permissionMismatch = "fail",
+}) {
+  // Without requested permissions, the token inherits the installation's permissions
+  if (!permissions) {
+    return permissions;
+  }
+
+  // https://docs.github.com/rest/apps/apps#get-an-installation-for-the-authenticated-app
+  const { data } = await request("GET /app/installations/{installation_id}", {
+    installation_id: installationId,
+    request: {
+      hook: auth.hook,
+    },
+  });
+  const granted = data.permissions ?? {};
+
+  const mismatches = Object.entries(permissions).filter(
+    ([permission, access]) => !isAccessWithin(access, granted[permission])
+  );
+  if (mismatches.length === 0) {
+    return permissions;
+  }
+
+  const table = [
+    "| Permission | Requested | Granted |",
+    "| --- | --- | --- |",
+    ...mismatches.map(
+      ([permission, access]) => `| ${permission} | ${access} | ${granted[permission] ?? "none"} |`
+    ),
+  ].join("\n");
+
+  if (permissionMismatch !== "downgrade") {
+    throw new Error(
+      `The requested permissions exceed the permissions granted to installation ${installationId}:\n${table}\nGrant the permissions to the GitHub App and accept them for the installation, or set 'permissions-mismatch' to 'downgrade'.`
+    );
+  }
+
+  // Lower over-requested permissions to the granted access, and drop permissions that are not granted
+  const downgraded = Object.fromEntries(
+    Object.entries(permissions)
+      .map(([permission, access]) => [
+        permission,
+        mismatches.some(([mismatch]) => mismatch === permission) ? granted[permission] : access,
+      ])
+      .filter(([, access]) => access)
+  );
+
+  if (Object.keys(downgraded).length === 0) {
+    throw new Error(
+      `None of the requested permissions are granted to installation ${installationId}:\n${table}`
+    );
+  }
+
+  core.warning(
+    `The requested permissions exceed the permissions granted to installation ${installationId}, creating the token with the granted permissions instead:\n${table}`
+  );
+  return downgraded;
+}
+
+/**
+ * Suggest the permission closest to a misspelled one, if any is close
+ * @param {string} permission
+ * @returns {string | undefined}
+ */
+function suggestPermission(permission) {
+  let suggestion;
+  let suggestionDistance = 3;
+  for (const candidate of Object.keys(appPermissions.properties)) {
+    const distance = getEditDistance(permission, candidate);
+    if (distance < suggestionDistance) {
+      suggestion = candidate;
+      suggestionDistance = distance;
+    }
+  }
+  return suggestion;
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function getEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
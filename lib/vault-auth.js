@@ -0,0 +1,198 @@
+// @ts-check
+
+import { HttpError } from "./http-error.js";
+import { memoizeUntilFailure } from "./memoize-until-failure.js";
+import { fetch } from "./request.js";
+import { createSignerAppAuth } from "./signer-auth.js";
+
+// Vault Transit options for RS256 signatures
+const HASH_ALGORITHM = "sha2-256";
+const SIGNATURE_ALGORITHM = "pkcs1v15";
+
+const VAULT_AUTH_METHODS = ["token", "jwt"];
+
+/**
+ * @typedef {Object} VaultOptions
+ * @property {string} vaultAddr - Vault server address, e.g. `https://vault.example.com:8200`
+ * @property {string} vaultTransitKey - Name of the RSA key in the Transit secrets engine
+ * @property {"token" | "jwt"} [vaultAuthMethod] - How to authenticate with Vault (defaults to `token`)
+ * @property {string} [vaultToken] - Vault token (required with the `token` auth method)
+ * @property {string} [vaultRole] - Role of the JWT auth method (required with the `jwt` auth method)
+ * @property {string} [vaultJwtAudience] - Audience of the GitHub OIDC token used for JWT auth
+ * @property {(audience?: string) => Promise<string>} [getIDToken] - Returns a GitHub OIDC token (required with the `jwt` auth method)
+ */
+
+/**
+ * Send a request to the Vault HTTP API and return its `data`
+ * @param {string} vaultAddr - Vault server address
+ * @param {string} path - API path, without the `/v1/` prefix
+ * @param {Object} body - JSON request body
+ * @param {Record<string, string>} [headers] - Additional request headers
+ * @returns {Promise<any>}
+ */
+async function vaultRequest(vaultAddr, path, body, headers = {}) {
+  const url = `${vaultAddr.replace(/\/+$/, "")}/v1/${path}`;
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers: { "content-type": "application/json", ...headers },
+      body: JSON.stringify(body),
+    });
+  } catch (error) {
+    throw new Error(`${vaultAddr} is unreachable: ${error.cause?.message ?? error.message}`, {
+      cause: error,
+    });
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    // Vault error messages can span several lines
+    const errors = Array.isArray(data.errors)
+      ? data.errors.map((message) => message.replace(/\s+/g, " ").trim()).join(", ")
+      : "";
+    throw new HttpError(errors || response.statusText, response.status, data);
+  }
+
+  return data;
+}
+
+/**
+ * Create a function that returns a Vault token, logging in with the GitHub OIDC
+ * token once when the `jwt` auth method is used
+ * @param {VaultOptions} options
+ * @returns {() => Promise<string>}
+ */
+function createVaultTokenProvider({
+  vaultAddr,
+  vaultAuthMethod = "token",
+  vaultToken,
+  vaultRole,
+  vaultJwtAudience,
+  getIDToken,
+}) {
+  if (vaultAuthMethod === "token") {
+    if (!vaultToken) {
+      throw new Error("'vault-token' is required when 'vault-auth-method' is 'token'");
+    }
+    return async () => vaultToken;
+  }
+
+  if (!vaultRole) {
+    throw new Error("'vault-role' is required when 'vault-auth-method' is 'jwt'");
+  }
+
+  if (!getIDToken) {
+    throw new Error("getIDToken is required for Vault JWT auth");
+  }
+
+  const loginWithGitHubOidc = async () => {
+    let jwt;
+    try {
+      jwt = await getIDToken(vaultJwtAudience);
+    } catch (error) {
+      throw new Error(
+        `Could not get a GitHub OIDC token to log in to Vault. Make sure the job has the 'id-token: write' permission. (${error.message})`,
+        { cause: error }
+      );
+    }
+
+    try {
+      const { auth } = await vaultRequest(vaultAddr, "auth/jwt/login", {
+        role: vaultRole,
+        jwt,
+      });
+      return auth.client_token;
+    } catch (error) {
+      throw new Error(
+        `Could not log in to Vault with the GitHub OIDC token and role '${vaultRole}'. Make sure the role's bound claims allow this repository. (${error.message})`,
+        { cause: error }
+      );
+    }
+  };
+
+  // Log in once per run
+  return memoizeUntilFailure(loginWithGitHubOidc);
+}
+
+/**
+ * Create a signing function that uses the Vault Transit secrets engine
+ * @param {VaultOptions} options
+ * @returns {(payload: string) => Promise<string>} Returns the base64url signature
+ */
+function createVaultSigner(options) {
+  const { vaultAddr, vaultTransitKey } = options;
+  const getVaultToken = createVaultTokenProvider(options);
+
+  return async (payload) => {
+    const token = await getVaultToken();
+
+    let data;
+    try {
+      ({ data } = await vaultRequest(
+        vaultAddr,
+        `transit/sign/${encodeURIComponent(vaultTransitKey)}`,
+        {
+          input: Buffer.from(payload).toString("base64"),
+          hash_algorithm: HASH_ALGORITHM,
+          signature_algorithm: SIGNATURE_ALGORITHM,
+        },
+        { "x-vault-token": token }
+      ));
+    } catch (error) {
+      if (error.status === 403) {
+        throw new Error(
+          `Vault denied signing with the Transit key '${vaultTransitKey}'. Make sure the Vault token's policy allows 'update' on 'transit/sign/${vaultTransitKey}'. (${error.message})`,
+          { cause: error }
+        );
+      }
+      throw new Error(
+        `Vault could not sign with the Transit key '${vaultTransitKey}' (${error.message})`,
+        { cause: error }
+      );
+    }
+
+    // Signatures are prefixed with the key version, e.g. `vault:v1:<base64>`
+    const signature = data?.signature?.split(":").pop();
+    if (!signature) {
+      throw new Error(`Vault returned no signature for the Transit key '${vaultTransitKey}'`);
+    }
+
+    return Buffer.from(signature, "base64").toString("base64url");
+  };
+}
+
+/**
+ * Create an app auth instance that uses a HashiCorp Vault Transit key for signing
+ * @param {VaultOptions & {
+ *   appId: string,
+ *   request: import("@octokit/request").request,
+ *   log?: { warn: (message: string) => void },
+ * }} options - Vault options, the GitHub App ID, an Octokit request instance and a
+ *   logger for clock skew warnings (defaults to console)
+ * @returns {Function}
+ */
+export function createVaultAppAuth({ appId, request, log, ...options }) {
+  if (!VAULT_AUTH_METHODS.includes(options.vaultAuthMethod ?? "token")) {
+    throw new Error(
+      `Unknown 'vault-auth-method' '${options.vaultAuthMethod}', expected one of: ${VAULT_AUTH_METHODS.join(", ")}`
+    );
+  }
+
+  if (!options.vaultAddr) {
+    throw new Error("'vault-addr' is required when 'vault-transit-key' is provided");
+  }
+
+  return createSignerAppAuth({
+    appId,
+    request,
+    log,
+    signers: [
+      {
+        name: `${options.vaultAddr.replace(/\/+$/, "")}/v1/transit/keys/${options.vaultTransitKey}`,
+        sign: createVaultSigner(options),
+      },
+    ],
+  });
+}
@@ -4,9 +4,21 @@ import core from "@actions/core";
 import { createAppAuth } from "@octokit/auth-app";
 
 import { getPermissionsFromInputs } from "./lib/get-permissions-from-inputs.js";
+import { getTokensFromInput } from "./lib/get-tokens-from-input.js";
+import { parseRepositoryProperties } from "./lib/installation-repositories.js";
+import { getPermissionPreset } from "./lib/permission-presets.js";
+import { getPolicyContext, readPolicyFile } from "./lib/policy.js";
+import { validatePermissions } from "./lib/validate-permissions.js";
 import { main } from "./lib/main.js";
 import request from "./lib/request.js";
-import { createKmsAppAuth } from "./lib/kms-auth.js";
+import { createKmsAppAuth, verifyKmsKey } from "./lib/kms-auth.js";
+import { createVaultAppAuth } from "./lib/vault-auth.js";
+import { createGcpKmsAppAuth } from "./lib/gcp-kms-auth.js";
+import { createAzureKeyVaultAppAuth } from "./lib/azure-key-vault-auth.js";
+import { createPkcs11AppAuth } from "./lib/pkcs11-auth.js";
+import { createCommandSignerAppAuth } from "./lib/command-signer-auth.js";
+import { createEncryptedPrivateKeyAppAuth } from "./lib/encrypted-private-key-auth.js";
+import { createAwsSecretPrivateKeyAppAuth } from "./lib/aws-secret-private-key-auth.js";
 
 if (!process.env.GITHUB_REPOSITORY) {
   throw new Error("GITHUB_REPOSITORY missing, must be set to '<owner>/<repo>'");
@@ -18,36 +30,299 @@ if (!process.env.GITHUB_REPOSITORY_OWNER) {
 
 const appId = core.getInput("app-id");
 const privateKey = core.getInput("private-key");
+const encryptedPrivateKey = core.getInput("encrypted-private-key");
+const encryptionContext = core
+  .getInput("encrypted-private-key-context")
+  .split(/[\n,]+/)
+  .map((s) => s.trim())
+  .filter((x) => x !== "");
+const privateKeySecretArn = core.getInput("private-key-secret-arn");
+const privateKeySsmParameter = core.getInput("private-key-ssm-parameter");
+const privateKeyJsonField = core.getInput("private-key-json-field");
+const privateKeyVersionStage = core.getInput("private-key-version-stage");
 const awsKmsArn = core.getInput("aws-kms-arn");
+const awsKmsArns = awsKmsArn
+  .split(/[\n,]+/)
+  .map((s) => s.trim())
+  .filter((x) => x !== "");
 const awsProfile = core.getInput("aws-profile");
+const awsRoleArn = core.getInput("aws-role-arn");
+const awsRoleSessionName = core.getInput("aws-role-session-name");
+const awsRegion = core.getInput("aws-region");
+const awsKmsEndpoint = core.getInput("aws-kms-endpoint");
+const awsKmsGrantTokens = core
+  .getInput("aws-kms-grant-tokens")
+  .split(/[\n,]+/)
+  .map((s) => s.trim())
+  .filter((x) => x !== "");
+const verifyKey = core.getBooleanInput("verify-kms-key");
+const vaultAddr = core.getInput("vault-addr");
+const vaultTransitKey = core.getInput("vault-transit-key");
+const vaultAuthMethod = core.getInput("vault-auth-method");
+const vaultToken = core.getInput("vault-token");
+const vaultRole = core.getInput("vault-role");
+const vaultJwtAudience = core.getInput("vault-jwt-audience");
+const gcpKmsKeyVersion = core.getInput("gcp-kms-key-version");
+const gcpWorkloadIdentityProvider = core.getInput("gcp-workload-identity-provider");
+const gcpServiceAccount = core.getInput("gcp-service-account");
+const azureKeyVaultKeyId = core.getInput("azure-key-vault-key-id");
+const azureClientId = core.getInput("azure-client-id");
+const azureTenantId = core.getInput("azure-tenant-id");
+const pkcs11Module = core.getInput("pkcs11-module");
+const pkcs11TokenLabel = core.getInput("pkcs11-token-label");
+const pkcs11KeyLabel = core.getInput("pkcs11-key-label");
+const pkcs11Pin = core.getInput("pkcs11-pin");
+const signerCommand = core.getInput("signer-command");
+const signerTimeout = core.getInput("signer-timeout");
+const expectedKeyFingerprint = core.getInput("expected-key-fingerprint");
 const owner = core.getInput("owner");
 const repositories = core
   .getInput("repositories")
   .split(/[\n,]+/)
   .map((s) => s.trim())
   .filter((x) => x !== "");
+const repositoryIds = core
+  .getInput("repository-ids")
+  .split(/[\n,]+/)
+  .map((s) => s.trim())
+  .filter((x) => x !== "")
+  .map((id) => {
+    if (!/^\d+$/.test(id)) {
+      throw new Error(`'repository-ids' must be a list of numeric repository IDs, got '${id}'`);
+    }
+    return Number(id);
+  });
 const installationId = core.getInput("installation-id");
+const repositoryTopics = core
+  .getInput("repository-topics")
+  .split(/[\n,]+/)
+  .map((s) => s.trim())
+  .filter((x) => x !== "");
+const repositoryProperties = parseRepositoryProperties(
+  core
+    .getInput("repository-property")
+    .split(/[\n,]+/)
+    .map((s) => s.trim())
+    .filter((x) => x !== "")
+);
 
 const skipTokenRevoke = core.getBooleanInput("skip-token-revoke");
+const splitLargeRepositoryLists = core.getBooleanInput("split-large-repository-lists");
+
+const permissionsFromInputs = getPermissionsFromInputs(process.env);
+validatePermissions(
+  permissionsFromInputs,
+  "'permissions' and 'permission-<permission name>' inputs"
+);
+
+// The `permissions` and `permission-*` inputs take precedence over the preset
+const permissionPreset = core.getInput("permissions-preset");
+let permissions = permissionsFromInputs;
+if (permissionPreset) {
+  const preset = getPermissionPreset(permissionPreset, {
+    workspace: process.env.GITHUB_WORKSPACE || process.cwd(),
+    file: core.getInput("permissions-presets-file"),
+  });
+  validatePermissions(
+    preset.permissions,
+    `Permission preset '${permissionPreset}' from ${preset.source}`
+  );
+
+  permissions = { ...preset.permissions, ...permissionsFromInputs };
+  core.info(
+    `Using permission preset '${permissionPreset}' from ${preset.source}. Resolved permissions:${Object.entries(
+      permissions
+    )
+      .map(([permission, access]) => `\n- ${permission}: ${access}`)
+      .join("")}`
+  );
+}
+
+const permissionMismatch = core.getInput("permissions-mismatch") || "fail";
+if (!["fail", "downgrade"].includes(permissionMismatch)) {
+  throw new Error(
+    `'permissions-mismatch' must be 'fail' or 'downgrade', got '${permissionMismatch}'`
+  );
+}
+
+const tokens = getTokensFromInput(core.getInput("tokens"));
+for (const token of tokens) {
+  validatePermissions(token.permissions, `Token '${token.name}'`);
+}
+
+if (
+  tokens.length > 0 &&
+  (owner ||
+    repositories.length > 0 ||
+    repositoryIds.length > 0 ||
+    installationId ||
+    splitLargeRepositoryLists ||
+    repositoryTopics.length > 0 ||
+    Object.keys(repositoryProperties).length > 0)
+) {
+  throw new Error(
+    "'tokens' cannot be combined with 'owner', 'repositories', 'repository-ids', 'repository-topics', 'repository-property', 'installation-id' or 'split-large-repository-lists'. Set 'owner' and 'repositories' for each token instead."
+  );
+}
+
+// A policy file from a repository is read with the created tokens, a local one before creating them
+const policyFile = core.getInput("policy-file");
+const policyRepository = core.getInput("policy-repository");
+if (policyRepository && !policyFile) {
+  throw new Error(
+    "'policy-repository' requires 'policy-file' to be set to the path of the policy file in the repository"
+  );
+}
+if (policyRepository && !/^[^/\s]+\/[^/\s]+$/.test(policyRepository)) {
+  throw new Error(`'policy-repository' must be 'owner/repo', got '${policyRepository}'`);
+}
+let policy;
+if (policyFile) {
+  const context = getPolicyContext(process.env, core);
+  policy = policyRepository
+    ? { context, repository: policyRepository, file: policyFile }
+    : {
+        context,
+        policy: readPolicyFile(policyFile, process.env.GITHUB_WORKSPACE || process.cwd()),
+      };
+}
 
-const permissions = getPermissionsFromInputs(process.env);
+// Validate that exactly one way of signing the app JWT is provided
+const signingInputs = {
+  "private-key": privateKey,
+  "encrypted-private-key": encryptedPrivateKey,
+  "private-key-secret-arn": privateKeySecretArn,
+  "private-key-ssm-parameter": privateKeySsmParameter,
+  "aws-kms-arn": awsKmsArn,
+  "vault-transit-key": vaultTransitKey,
+  "gcp-kms-key-version": gcpKmsKeyVersion,
+  "azure-key-vault-key-id": azureKeyVaultKeyId,
+  "pkcs11-module": pkcs11Module,
+  "signer-command": signerCommand,
+};
+const providedSigningInputs = Object.keys(signingInputs).filter(
+  (name) => signingInputs[name]
+);
+const formatInputNames = (names, type) =>
+  new Intl.ListFormat("en", { type }).format(names.map((name) => `'${name}'`));
 
-// Validate that either private-key or aws-kms-arn is provided
-if (!privateKey && !awsKmsArn) {
-  throw new Error("Either 'private-key' or 'aws-kms-arn' must be provided");
+if (providedSigningInputs.length === 0) {
+  throw new Error(
+    `Either ${formatInputNames(Object.keys(signingInputs), "disjunction")} must be provided`
+  );
 }
 
-if (privateKey && awsKmsArn) {
-  throw new Error("Only one of 'private-key' or 'aws-kms-arn' should be provided");
+if (providedSigningInputs.length > 1) {
+  throw new Error(
+    `Only one of ${formatInputNames(providedSigningInputs, "disjunction")} should be provided`
+  );
 }
 
+// The KMS key checks only apply to the keys in `aws-kms-arn`
+const kmsKeyCheckInputs = {
+  "verify-kms-key": verifyKey,
+  "expected-key-fingerprint": expectedKeyFingerprint,
+};
+const providedKmsKeyCheckInputs = Object.keys(kmsKeyCheckInputs).filter(
+  (name) => kmsKeyCheckInputs[name]
+);
+if (providedKmsKeyCheckInputs.length > 0 && !awsKmsArn) {
+  throw new Error(
+    `${formatInputNames(providedKmsKeyCheckInputs, "conjunction")} can only be used with 'aws-kms-arn', not with '${providedSigningInputs[0]}'`
+  );
+}
+
+if (awsProfile && awsRoleArn) {
+  throw new Error("Only one of 'aws-profile' or 'aws-role-arn' should be provided");
+}
+
+const kmsOptions = {
+  awsProfile: awsProfile || undefined,
+  awsRoleArn: awsRoleArn || undefined,
+  awsRoleSessionName: awsRoleSessionName || undefined,
+  awsRegion: awsRegion || undefined,
+  kmsEndpoint: awsKmsEndpoint || undefined,
+  grantTokens: awsKmsGrantTokens.length > 0 ? awsKmsGrantTokens : undefined,
+  getIDToken: (audience) => core.getIDToken(audience),
+};
+
 // Create the appropriate auth function
 let authFunction;
 if (awsKmsArn) {
   authFunction = createKmsAppAuth({
+    ...kmsOptions,
+    kmsKeyArn: awsKmsArns,
+    appId,
+    request,
+  });
+} else if (encryptedPrivateKey) {
+  authFunction = createEncryptedPrivateKeyAppAuth({
+    ...kmsOptions,
+    encryptedPrivateKey,
+    encryptionContext,
+    setSecret: (secret) => core.setSecret(secret),
+    appId,
+    request,
+  });
+} else if (privateKeySecretArn || privateKeySsmParameter) {
+  authFunction = createAwsSecretPrivateKeyAppAuth({
+    awsProfile: kmsOptions.awsProfile,
+    awsRoleArn: kmsOptions.awsRoleArn,
+    awsRoleSessionName: kmsOptions.awsRoleSessionName,
+    awsRegion: kmsOptions.awsRegion,
+    getIDToken: kmsOptions.getIDToken,
+    privateKeySecretArn: privateKeySecretArn || undefined,
+    privateKeySsmParameter: privateKeySsmParameter || undefined,
+    privateKeyJsonField: privateKeyJsonField || undefined,
+    privateKeyVersionStage: privateKeyVersionStage || undefined,
+    setSecret: (secret) => core.setSecret(secret),
+    appId,
+    request,
+  });
+} else if (vaultTransitKey) {
+  authFunction = createVaultAppAuth({
+    vaultAddr,
+    vaultTransitKey,
+    vaultAuthMethod: /** @type {"token" | "jwt"} */ (vaultAuthMethod || "token"),
+    vaultToken: vaultToken || undefined,
+    vaultRole: vaultRole || undefined,
+    vaultJwtAudience: vaultJwtAudience || undefined,
+    getIDToken: (audience) => core.getIDToken(audience),
+    appId,
+    request,
+  });
+} else if (gcpKmsKeyVersion) {
+  authFunction = createGcpKmsAppAuth({
+    gcpKmsKeyVersion,
+    gcpWorkloadIdentityProvider: gcpWorkloadIdentityProvider || undefined,
+    gcpServiceAccount: gcpServiceAccount || undefined,
+    getIDToken: (audience) => core.getIDToken(audience),
+    appId,
+    request,
+  });
+} else if (azureKeyVaultKeyId) {
+  authFunction = createAzureKeyVaultAppAuth({
+    azureKeyVaultKeyId,
+    azureClientId: azureClientId || undefined,
+    azureTenantId: azureTenantId || undefined,
+    getIDToken: (audience) => core.getIDToken(audience),
+    appId,
+    request,
+  });
+} else if (pkcs11Module) {
+  authFunction = createPkcs11AppAuth({
+    pkcs11Module,
+    pkcs11TokenLabel,
+    pkcs11KeyLabel,
+    pkcs11Pin: pkcs11Pin || undefined,
+    appId,
+    request,
+  });
+} else if (signerCommand) {
+  authFunction = createCommandSignerAppAuth({
+    signerCommand,
+    signerTimeout: signerTimeout ? Number(signerTimeout) : undefined,
     appId,
-    kmsKeyArn: awsKmsArn,
-    awsProfile: awsProfile || undefined,
     request,
   });
 } else {
@@ -58,19 +333,55 @@ if (awsKmsArn) {
   });
 }
 
+/**
+ * Check the KMS keys before signing with them. The expected fingerprint and the
+ * `key-fingerprint` output refer to the first (primary) key. Only the primary key must
+ * pass, as the other keys are fallbacks for when it is unavailable.
+ */
+async function verifyKmsKeys() {
+  for (const [index, kmsKeyArn] of awsKmsArns.entries()) {
+    if (index > 0) {
+      try {
+        const { fingerprint } = await verifyKmsKey({ ...kmsOptions, kmsKeyArn });
+        core.info(`KMS key fingerprint of ${kmsKeyArn}: ${fingerprint}`);
+      } catch (error) {
+        core.warning(`Fallback KMS key ${kmsKeyArn} could not be verified: ${error.message}`);
+      }
+      continue;
+    }
+
+    const { fingerprint } = await verifyKmsKey({
+      ...kmsOptions,
+      kmsKeyArn,
+      expectedFingerprint: expectedKeyFingerprint || undefined,
+    });
+    core.info(`KMS key fingerprint of ${kmsKeyArn}: ${fingerprint}`);
+    core.setOutput("key-fingerprint", fingerprint);
+  }
+}
+
+const keyVerification =
+  awsKmsArn && (verifyKey || expectedKeyFingerprint)
+    ? verifyKmsKeys()
+    : Promise.resolve();
+
 // Export promise for testing
-export default main(
-  appId,
-  privateKey,
+export default keyVerification.then(() => main({
   owner,
   repositories,
   permissions,
   core,
-  authFunction,
+  auth: authFunction,
   request,
   skipTokenRevoke,
-  installationId,
-).catch((error) => {
+  providedInstallationId: installationId,
+  tokens,
+  repositoryFilters: { topics: repositoryTopics, properties: repositoryProperties },
+  repositoryIds,
+  splitLargeRepositoryLists,
+  permissionMismatch,
+  policy,
+})).catch((error) => {
   /* c8 ignore next 3 */
   console.error(error);
   core.setFailed(error.message);
@@ -0,0 +1,51 @@
+import core from "@actions/core";
+import { createAppAuth } from "@octokit/auth-app";
+import { request } from "@octokit/request";
+import { MockAgent, setGlobalDispatcher } from "undici";
+
+import { DEFAULT_ENV } from "./main.js";
+import { main } from "../lib/main.js";
+
+const mockAgent = new MockAgent({ enableCallHistory: true });
+mockAgent.disableNetConnect();
+setGlobalDispatcher(mockAgent);
+const mockPool = mockAgent.get("https://api.github.com");
+
+mockPool
+  .intercept({ path: "/app", method: "GET" })
+  .reply(500, "GitHub API not available")
+  .persist();
+
+// Test that the app slug is looked up before any token is created with a provided
+// installation ID, so that a failed lookup does not leave a token behind
+const auth = createAppAuth({
+  appId: DEFAULT_ENV["INPUT_APP-ID"],
+  privateKey: DEFAULT_ENV["INPUT_PRIVATE-KEY"],
+  request,
+});
+
+for (const repositories of [["create-github-app-token"], ["create-*"]]) {
+  try {
+    await main({
+      owner: "actions",
+      repositories,
+      permissions: undefined,
+      core,
+      auth,
+      request,
+      skipTokenRevoke: false,
+      providedInstallationId: "123456",
+    });
+  } catch (error) {
+    console.log(error.message);
+  }
+}
+
+console.log("--- REQUESTS ---");
+console.log(
+  mockAgent
+    .getCallHistory()
+    .calls()
+    .map((call) => `${call.method} ${call.path}`)
+    .join("\n")
+);
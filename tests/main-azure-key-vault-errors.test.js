@@ -0,0 +1,155 @@
+import { MockAgent, setGlobalDispatcher } from "undici";
+
+import request from "../lib/request.js";
+import { createAzureKeyVaultAppAuth } from "../lib/azure-key-vault-auth.js";
+
+const keyId = "https://example-vault.vault.azure.net/keys/github-app";
+const tenantId = "00000000-0000-0000-0000-000000000001";
+const clientId = "00000000-0000-0000-0000-000000000002";
+
+const mockAgent = new MockAgent();
+mockAgent.disableNetConnect();
+setGlobalDispatcher(mockAgent);
+const entraPool = mockAgent.get("https://login.microsoftonline.com");
+const vaultPool = mockAgent.get("https://example-vault.vault.azure.net");
+const imdsPool = mockAgent.get("http://169.254.169.254");
+const jsonHeaders = { headers: { "content-type": "application/json" } };
+
+const options = {
+  appId: "123456",
+  request,
+  azureKeyVaultKeyId: keyId,
+  azureClientId: clientId,
+  azureTenantId: tenantId,
+  getIDToken: async (audience) => `oidc-token-for-${audience}`,
+};
+
+// Test that invalid Key Vault configurations are rejected before signing
+for (const invalidOptions of [
+  { ...options, azureKeyVaultKeyId: "github-app" },
+  { ...options, azureKeyVaultKeyId: "https://example-vault.vault.azure.net/secrets/github-app" },
+  { ...options, azureClientId: undefined },
+  { ...options, getIDToken: undefined },
+]) {
+  try {
+    createAzureKeyVaultAppAuth(invalidOptions);
+  } catch (error) {
+    console.log(error.message);
+  }
+}
+
+// Test that authentication failures are reported
+try {
+  await createAzureKeyVaultAppAuth({
+    ...options,
+    getIDToken: async () => {
+      throw new Error("Unable to get ACTIONS_ID_TOKEN_REQUEST_URL env variable");
+    },
+  })({ type: "app" });
+} catch (error) {
+  console.log(error.message);
+}
+
+entraPool
+  .intercept({ path: `/${tenantId}/oauth2/v2.0/token`, method: "POST" })
+  .reply(
+    400,
+    {
+      error: "invalid_client",
+      error_description:
+        "AADSTS70021: No matching federated identity record found for presented assertion.\r\nTrace ID: 0000\r\nCorrelation ID: 0000",
+    },
+    jsonHeaders
+  );
+
+try {
+  await createAzureKeyVaultAppAuth(options)({ type: "app" });
+} catch (error) {
+  console.log(error.message);
+}
+
+imdsPool
+  .intercept({ path: "/metadata/identity/oauth2/token", method: "GET", query: { "api-version": "2018-02-01", resource: "https://vault.azure.net" } })
+  .reply(400, { error: "invalid_request", error_description: "Identity not found" }, jsonHeaders);
+imdsPool
+  .intercept({ path: "/metadata/identity/oauth2/token", method: "GET", query: { "api-version": "2018-02-01", resource: "https://vault.azure.net", client_id: clientId } })
+  .replyWithError(new Error("connect EHOSTUNREACH 169.254.169.254:80"));
+
+for (const managedIdentityOptions of [
+  { ...options, azureClientId: undefined, azureTenantId: undefined },
+  { ...options, azureTenantId: undefined },
+]) {
+  try {
+    await createAzureKeyVaultAppAuth(managedIdentityOptions)({ type: "app" });
+  } catch (error) {
+    console.log(error.message);
+  }
+}
+
+// Test that Key Vault errors are translated into actionable messages
+const signPath = "/keys/github-app/sign?api-version=7.4";
+const keyVaultError = (code, message) => ({ error: { code, message } });
+
+entraPool
+  .intercept({ path: `/${tenantId}/oauth2/v2.0/token`, method: "POST" })
+  .reply(200, { access_token: "entra-token" }, jsonHeaders);
+vaultPool
+  .intercept({ path: signPath, method: "POST" })
+  .reply(
+    403,
+    keyVaultError("Forbidden", "Caller is not authorized to perform action on resource."),
+    jsonHeaders
+  );
+vaultPool
+  .intercept({ path: signPath, method: "POST" })
+  .reply(404, keyVaultError("KeyNotFound", "A key with (name/id) github-app was not found in this key vault."), jsonHeaders);
+vaultPool
+  .intercept({ path: signPath, method: "POST" })
+  .reply(400, keyVaultError("BadParameter", "Key and signing algorithm are incompatible."), jsonHeaders);
+vaultPool
+  .intercept({ path: signPath, method: "POST" })
+  .reply(503, "", { statusText: "Service Unavailable" });
+vaultPool
+  .intercept({ path: signPath, method: "POST" })
+  .reply(200, { kid: keyId }, jsonHeaders);
+
+const auth = createAzureKeyVaultAppAuth(options);
+for (let i = 0; i < 5; i++) {
+  try {
+    await auth({ type: "app" });
+  } catch (error) {
+    console.log(error.message);
+  }
+}
+
+// Test that requests rejected before they are sent are reported, e.g. with a malformed access token
+imdsPool
+  .intercept({ path: "/metadata/identity/oauth2/token", method: "GET", query: { "api-version": "2018-02-01", resource: "https://vault.azure.net" } })
+  .reply(200, { access_token: "“managed-identity-token”" }, jsonHeaders);
+
+try {
+  await createAzureKeyVaultAppAuth({
+    ...options,
+    azureClientId: undefined,
+    azureTenantId: undefined,
+  })({ type: "app" });
+} catch (error) {
+  console.log(error.message);
+}
+
+// Test signing with a local stand-in for the Key Vault REST API
+mockAgent
+  .get("http://localhost:8443")
+  .intercept({ path: "/keys/github-app/sign?api-version=7.4", method: "POST" })
+  .reply(200, { value: "c2lnbmF0dXJl" }, jsonHeaders);
+imdsPool
+  .intercept({ path: "/metadata/identity/oauth2/token", method: "GET", query: { "api-version": "2018-02-01", resource: "https://vault.azure.net" } })
+  .reply(200, { access_token: "managed-identity-token" }, jsonHeaders);
+
+const { token } = await createAzureKeyVaultAppAuth({
+  ...options,
+  azureKeyVaultKeyId: "http://localhost:8443/keys/github-app/",
+  azureClientId: undefined,
+  azureTenantId: undefined,
+})({ type: "app" });
+console.log(`JWT signature: ${token.split(".")[2]}`);
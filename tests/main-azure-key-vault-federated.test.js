@@ -0,0 +1,78 @@
+import { createPrivateKey, createPublicKey, privateEncrypt, verify } from "node:crypto";
+
+import core from "@actions/core";
+
+import { DEFAULT_ENV, test } from "./main.js";
+
+const keyId = "https://example-vault.vault.azure.net/keys/github-app";
+const tenantId = "00000000-0000-0000-0000-000000000001";
+const privateKey = createPrivateKey(DEFAULT_ENV["INPUT_PRIVATE-KEY"]);
+
+// DER prefix of a PKCS #1 DigestInfo for SHA-256
+const SHA256_DIGEST_INFO_PREFIX = Buffer.from("3031300d060960864801650304020105000420", "hex");
+
+// Stand in for the Actions OIDC token endpoint
+core.getIDToken = async (audience) => `oidc-token-for-${audience}`;
+
+const jsonHeaders = { headers: { "content-type": "application/json" } };
+let callHistory;
+
+// Test signing the app JWT with Azure Key Vault, authenticating with a federated credential
+await test((mockPool, mockAgent) => {
+  callHistory = mockAgent.getCallHistory();
+  delete process.env["INPUT_PRIVATE-KEY"];
+  process.env["INPUT_AZURE-KEY-VAULT-KEY-ID"] = keyId;
+  process.env["INPUT_AZURE-CLIENT-ID"] = "00000000-0000-0000-0000-000000000002";
+  process.env["INPUT_AZURE-TENANT-ID"] = tenantId;
+
+  // Stand in for Microsoft Entra ID
+  mockAgent
+    .get("https://login.microsoftonline.com")
+    .intercept({ path: `/${tenantId}/oauth2/v2.0/token`, method: "POST" })
+    .reply(200, { access_token: "entra-token", token_type: "Bearer", expires_in: 3599 }, jsonHeaders);
+
+  // Stand in for the Key Vault REST API, signing the digest with the app's private key
+  mockAgent
+    .get("https://example-vault.vault.azure.net")
+    .intercept({
+      path: "/keys/github-app/sign?api-version=7.4",
+      method: "POST",
+      headers: { authorization: "Bearer entra-token" },
+    })
+    .reply(
+      200,
+      ({ body }) => {
+        const { alg, value } = JSON.parse(body);
+        // Private key encryption with PKCS #1 v1.5 padding is an RSASSA-PKCS1-v1_5 signature
+        const signature = privateEncrypt(
+          privateKey,
+          Buffer.concat([SHA256_DIGEST_INFO_PREFIX, Buffer.from(value, "base64url")])
+        );
+        return {
+          kid: `${keyId}/0123456789abcdef0123456789abcdef`,
+          value: signature.toString("base64url"),
+          alg,
+        };
+      },
+      jsonHeaders
+    );
+});
+
+console.log("--- AZURE ---");
+for (const call of callHistory.calls().filter((call) => !call.origin.includes("github"))) {
+  console.log(`${call.method} ${call.origin}${call.path}`);
+}
+const tokenRequest = new URLSearchParams(
+  callHistory.filterCalls({ origin: "https://login.microsoftonline.com" })[0].body
+);
+console.log(`Client assertion: ${tokenRequest.get("client_assertion")}`);
+console.log(`Scope: ${tokenRequest.get("scope")}`);
+console.log(`Sign algorithm: ${JSON.parse(callHistory.filterCalls({ path: /\/sign/ })[0].body).alg}`);
+
+// GitHub accepts the JWT only if it verifies with the app's public key
+const jwtCall = callHistory.filterCalls({ method: "POST", path: /access_tokens$/ })[0];
+const jwt = jwtCall.headers.authorization.replace(/^bearer /i, "");
+const [header, payload, signature] = jwt.split(".");
+console.log(
+  `JWT signature valid: ${verify("sha256", Buffer.from(`${header}.${payload}`), createPublicKey(privateKey), Buffer.from(signature, "base64url"))}`
+);
@@ -0,0 +1,51 @@
+import { createServer } from "node:http";
+
+import { MockAgent, setGlobalDispatcher } from "undici";
+
+const keyId = "https://example.vault.azure.net/keys/github-app";
+
+// Stand in for a proxy that does not allow any connections
+const proxy = createServer();
+proxy.on("connect", (request, socket) => {
+  console.log(`proxy: CONNECT ${request.url}`);
+  socket.end("HTTP/1.1 403 Forbidden\r\n\r\n");
+});
+await new Promise((resolve) => proxy.listen(0, "127.0.0.1", resolve));
+
+// The proxy is read when the module is loaded
+process.env.HTTPS_PROXY = `http://127.0.0.1:${proxy.address().port}`;
+const { default: request } = await import("../lib/request.js");
+const { createAzureKeyVaultAppAuth } = await import("../lib/azure-key-vault-auth.js");
+
+// Requests that bypass the proxy are sent to the mock agent instead
+const mockAgent = new MockAgent();
+mockAgent.disableNetConnect();
+setGlobalDispatcher(mockAgent);
+mockAgent
+  .get("http://169.254.169.254")
+  .intercept({ path: /^\/metadata\/identity\/oauth2\/token/, method: "GET" })
+  .reply(
+    200,
+    { access_token: "managed-identity-token", expires_in: "86399" },
+    { headers: { "content-type": "application/json" } }
+  );
+
+// Test that requests to Microsoft Entra ID and Key Vault go through the proxy, but not the
+// request to the Instance Metadata Service
+for (const azureTenantId of ["00000000-0000-0000-0000-000000000001", undefined]) {
+  try {
+    await createAzureKeyVaultAppAuth({
+      appId: "123456",
+      request,
+      azureKeyVaultKeyId: keyId,
+      azureClientId: "00000000-0000-0000-0000-000000000002",
+      azureTenantId,
+      getIDToken: async (audience) => `oidc-token-for-${audience}`,
+    })({ type: "app" });
+  } catch (error) {
+    console.log(error.message);
+  }
+}
+
+proxy.close();
+proxy.closeAllConnections();
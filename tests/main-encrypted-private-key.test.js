@@ -0,0 +1,106 @@
+import { request } from "@octokit/request";
+import { mockClient } from "aws-sdk-client-mock";
+import { DecryptCommand, KMSClient } from "@aws-sdk/client-kms";
+
+import { DEFAULT_ENV, test } from "./main.js";
+import { createEncryptedPrivateKeyAppAuth } from "../lib/encrypted-private-key-auth.js";
+
+const pem = DEFAULT_ENV["INPUT_PRIVATE-KEY"];
+const ciphertext = Buffer.from("kms-ciphertext-blob").toString("base64");
+
+// Stand in for KMS, which only decrypts the blob with the context it was encrypted with
+const kmsMock = mockClient(KMSClient);
+kmsMock.on(DecryptCommand).callsFake(({ CiphertextBlob, EncryptionContext }) => {
+  if (Buffer.from(CiphertextBlob).toString() === "not-a-private-key") {
+    return { Plaintext: Buffer.from("hello") };
+  }
+  if (
+    Buffer.from(CiphertextBlob).toString() !== "kms-ciphertext-blob" ||
+    JSON.stringify(EncryptionContext) !== JSON.stringify({ app: "my-app", env: "ci" })
+  ) {
+    const error = new Error("The ciphertext or encryption context is invalid");
+    error.name = "InvalidCiphertextException";
+    throw error;
+  }
+  return { Plaintext: Buffer.from(pem) };
+});
+
+// Test signing with a private key decrypted with KMS
+await test(() => {
+  delete process.env["INPUT_PRIVATE-KEY"];
+  process.env["INPUT_ENCRYPTED-PRIVATE-KEY"] = ciphertext;
+  process.env["INPUT_ENCRYPTED-PRIVATE-KEY-CONTEXT"] = "app=my-app\nenv=ci";
+  process.env["INPUT_AWS-REGION"] = "us-east-1";
+});
+
+console.log("--- KMS ---");
+const decryptCalls = kmsMock.commandCalls(DecryptCommand);
+console.log(`Decrypt calls: ${decryptCalls.length}`);
+console.log(`EncryptionContext: ${JSON.stringify(decryptCalls[0].args[0].input.EncryptionContext)}`);
+console.log(`KMS region: ${await kmsMock.call(0).thisValue.config.region()}`);
+
+const options = {
+  appId: "123456",
+  request,
+  setSecret: () => {},
+  encryptedPrivateKey: ciphertext,
+  encryptionContext: ["app=my-app", "env=ci"],
+  awsRegion: "us-east-1",
+};
+
+// Test that without 'aws-region', the AWS SDK's default region resolution applies
+process.env.AWS_REGION = "eu-central-1";
+kmsMock.resetHistory();
+await createEncryptedPrivateKeyAppAuth({ ...options, awsRegion: undefined })({ type: "app" });
+console.log(`KMS region: ${await kmsMock.call(0).thisValue.config.region()}`);
+
+// Test that invalid inputs and KMS errors are reported with what needs fixing
+console.log("--- ERRORS ---");
+for (const invalidOptions of [
+  { ...options, encryptedPrivateKey: "not base64!" },
+  { ...options, encryptionContext: ["app"] },
+]) {
+  try {
+    createEncryptedPrivateKeyAppAuth(invalidOptions);
+  } catch (error) {
+    console.log(error.message);
+  }
+}
+
+for (const failingOptions of [
+  { ...options, encryptionContext: ["app=other-app"] },
+  { ...options, encryptedPrivateKey: Buffer.from("not-a-private-key").toString("base64") },
+]) {
+  try {
+    await createEncryptedPrivateKeyAppAuth(failingOptions)({ type: "app" });
+  } catch (error) {
+    console.log(error.message);
+  }
+}
+
+for (const [name, message] of [
+  ["AccessDeniedException", "User is not authorized to perform: kms:Decrypt"],
+  ["DisabledException", "The key is disabled"],
+  ["CredentialsProviderError", "Could not load credentials from any providers"],
+  ["ValidationException", "Unexpected error"],
+]) {
+  kmsMock.on(DecryptCommand).rejects(Object.assign(new Error(message), { name }));
+  try {
+    await createEncryptedPrivateKeyAppAuth({
+      ...options,
+      awsRoleArn: "arn:aws:iam::123456789012:role/github-app-decrypt",
+      getIDToken: async () => "oidc-token",
+    })({ type: "app" });
+  } catch (error) {
+    console.log(error.message);
+  }
+}
+
+kmsMock.on(DecryptCommand).resolves({});
+try {
+  await createEncryptedPrivateKeyAppAuth({ ...options, encryptionContext: undefined })({
+    type: "app",
+  });
+} catch (error) {
+  console.log(error.message);
+}
@@ -0,0 +1,50 @@
+import { mkdtempSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { test } from "./main.js";
+
+const keyVersion =
+  "projects/example/locations/us-east1/keyRings/github/cryptoKeys/app/cryptoKeyVersions/3";
+
+// Application default credentials, as written by `gcloud auth application-default login`
+const credentialsFile = join(mkdtempSync(join(tmpdir(), "gcp-kms-adc-")), "credentials.json");
+writeFileSync(
+  credentialsFile,
+  JSON.stringify({
+    type: "authorized_user",
+    client_id: "client-id",
+    client_secret: "client-secret",
+    refresh_token: "refresh-token",
+  })
+);
+
+const jsonHeaders = { headers: { "content-type": "application/json" } };
+let callHistory;
+
+// Test signing the app JWT with Cloud KMS, authenticating with application default credentials
+await test((mockPool, mockAgent) => {
+  callHistory = mockAgent.getCallHistory();
+  delete process.env["INPUT_PRIVATE-KEY"];
+  process.env["INPUT_GCP-KMS-KEY-VERSION"] = keyVersion;
+  process.env.GOOGLE_APPLICATION_CREDENTIALS = credentialsFile;
+
+  mockAgent
+    .get("https://oauth2.googleapis.com")
+    .intercept({ path: "/token", method: "POST" })
+    .reply(200, { access_token: "user-token", expires_in: 3600 }, jsonHeaders);
+
+  mockAgent
+    .get("https://cloudkms.googleapis.com")
+    .intercept({
+      path: `/v1/${keyVersion}:asymmetricSign`,
+      method: "POST",
+      headers: { authorization: "Bearer user-token" },
+    })
+    .reply(200, { name: keyVersion, signature: Buffer.alloc(256).toString("base64") }, jsonHeaders);
+});
+
+console.log("--- GOOGLE CLOUD ---");
+for (const call of callHistory.calls().filter((call) => !call.origin.includes("github"))) {
+  console.log(`${call.method} ${call.origin}${call.path}`);
+}
@@ -0,0 +1,197 @@
+import { mkdtempSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { MockAgent, setGlobalDispatcher } from "undici";
+
+import request from "../lib/request.js";
+import { createGcpKmsAppAuth } from "../lib/gcp-kms-auth.js";
+
+const keyVersion =
+  "projects/example/locations/global/keyRings/github/cryptoKeys/app/cryptoKeyVersions/1";
+const provider =
+  "projects/123456789/locations/global/workloadIdentityPools/github/providers/actions";
+const serviceAccount = "signer@example.iam.gserviceaccount.com";
+
+const mockAgent = new MockAgent();
+mockAgent.disableNetConnect();
+setGlobalDispatcher(mockAgent);
+const kmsPool = mockAgent.get("https://cloudkms.googleapis.com");
+const stsPool = mockAgent.get("https://sts.googleapis.com");
+const jsonHeaders = { headers: { "content-type": "application/json" } };
+
+const options = {
+  appId: "123456",
+  request,
+  gcpKmsKeyVersion: keyVersion,
+  gcpWorkloadIdentityProvider: provider,
+  getIDToken: async (audience) => `oidc-token-for-${audience}`,
+};
+
+// Test that invalid Cloud KMS configurations are rejected before signing
+for (const invalidOptions of [
+  { ...options, gcpKmsKeyVersion: "projects/example/locations/global/keyRings/github/cryptoKeys/app" },
+  { ...options, gcpWorkloadIdentityProvider: "github/actions" },
+  { ...options, gcpWorkloadIdentityProvider: undefined, gcpServiceAccount: serviceAccount },
+  { ...options, getIDToken: undefined },
+]) {
+  try {
+    createGcpKmsAppAuth(invalidOptions);
+  } catch (error) {
+    console.log(error.message);
+  }
+}
+
+// Test that Workload Identity Federation failures are reported
+try {
+  await createGcpKmsAppAuth({
+    ...options,
+    getIDToken: async () => {
+      throw new Error("Unable to get ACTIONS_ID_TOKEN_REQUEST_URL env variable");
+    },
+  })({ type: "app" });
+} catch (error) {
+  console.log(error.message);
+}
+
+stsPool
+  .intercept({ path: "/v1/token", method: "POST" })
+  .reply(
+    400,
+    {
+      error: "unauthorized_client",
+      error_description: "The given credential is rejected by the attribute condition.",
+    },
+    jsonHeaders
+  );
+
+try {
+  await createGcpKmsAppAuth(options)({ type: "app" });
+} catch (error) {
+  console.log(error.message);
+}
+
+stsPool
+  .intercept({ path: "/v1/token", method: "POST" })
+  .reply(200, { access_token: "federated-token" }, jsonHeaders);
+mockAgent
+  .get("https://iamcredentials.googleapis.com")
+  .intercept({
+    path: `/v1/projects/-/serviceAccounts/${serviceAccount}:generateAccessToken`,
+    method: "POST",
+  })
+  .reply(
+    403,
+    {
+      error: {
+        code: 403,
+        message: "Permission 'iam.serviceAccounts.getAccessToken' denied on resource (or it may not exist).",
+        status: "PERMISSION_DENIED",
+      },
+    },
+    jsonHeaders
+  );
+
+try {
+  await createGcpKmsAppAuth({ ...options, gcpServiceAccount: serviceAccount })({ type: "app" });
+} catch (error) {
+  console.log(error.message);
+}
+
+// Test that Cloud KMS errors are translated into actionable messages
+const signPath = `/v1/${keyVersion}:asymmetricSign`;
+const kmsError = (code, status, message) => ({ error: { code, status, message } });
+
+stsPool
+  .intercept({ path: "/v1/token", method: "POST" })
+  .reply(200, { access_token: "federated-token" }, jsonHeaders);
+kmsPool
+  .intercept({ path: signPath, method: "POST" })
+  .reply(
+    403,
+    kmsError(403, "PERMISSION_DENIED", `Permission 'cloudkms.cryptoKeyVersions.useToSign' denied on resource '${keyVersion}' (or it may not exist).`),
+    jsonHeaders
+  );
+kmsPool
+  .intercept({ path: signPath, method: "POST" })
+  .reply(404, kmsError(404, "NOT_FOUND", `${keyVersion} not found.`), jsonHeaders);
+kmsPool
+  .intercept({ path: signPath, method: "POST" })
+  .reply(400, kmsError(400, "FAILED_PRECONDITION", `${keyVersion} is not enabled, current state is: DISABLED.`), jsonHeaders);
+kmsPool
+  .intercept({ path: signPath, method: "POST" })
+  .reply(400, kmsError(400, "INVALID_ARGUMENT", "Digest type SHA256 does not match the key algorithm."), jsonHeaders);
+kmsPool
+  .intercept({ path: signPath, method: "POST" })
+  .reply(503, "upstream connect error", { statusText: "Service Unavailable" });
+kmsPool
+  .intercept({ path: signPath, method: "POST" })
+  .reply(200, { name: keyVersion }, jsonHeaders);
+
+const auth = createGcpKmsAppAuth(options);
+for (let i = 0; i < 6; i++) {
+  try {
+    await auth({ type: "app" });
+  } catch (error) {
+    console.log(error.message);
+  }
+}
+
+// Test that the service account is named when it is not allowed to sign
+stsPool
+  .intercept({ path: "/v1/token", method: "POST" })
+  .reply(200, { access_token: "federated-token" }, jsonHeaders);
+mockAgent
+  .get("https://iamcredentials.googleapis.com")
+  .intercept({
+    path: `/v1/projects/-/serviceAccounts/${serviceAccount}:generateAccessToken`,
+    method: "POST",
+  })
+  .reply(200, { accessToken: "service-account-token" }, jsonHeaders);
+kmsPool
+  .intercept({ path: signPath, method: "POST" })
+  .reply(403, kmsError(403, "PERMISSION_DENIED", "The caller does not have permission"), jsonHeaders);
+
+try {
+  await createGcpKmsAppAuth({ ...options, gcpServiceAccount: serviceAccount })({ type: "app" });
+} catch (error) {
+  console.log(error.message);
+}
+
+// Test that application default credential failures are reported
+const credentialsFile = join(mkdtempSync(join(tmpdir(), "gcp-kms-adc-")), "credentials.json");
+writeFileSync(
+  credentialsFile,
+  JSON.stringify({
+    type: "authorized_user",
+    client_id: "client-id",
+    client_secret: "client-secret",
+    refresh_token: "revoked-refresh-token",
+  })
+);
+process.env.GOOGLE_APPLICATION_CREDENTIALS = credentialsFile;
+
+mockAgent
+  .get("https://oauth2.googleapis.com")
+  .intercept({ path: "/token", method: "POST" })
+  .reply(400, { error: "invalid_grant", error_description: "Bad Request" }, jsonHeaders);
+
+try {
+  await createGcpKmsAppAuth({ ...options, gcpWorkloadIdentityProvider: undefined })({ type: "app" });
+} catch (error) {
+  console.log(error.message);
+}
+
+mockAgent
+  .get("https://oauth2.googleapis.com")
+  .intercept({ path: "/token", method: "POST" })
+  .reply(200, { access_token: "user-token", expires_in: 3600 }, jsonHeaders);
+kmsPool
+  .intercept({ path: signPath, method: "POST" })
+  .reply(403, kmsError(403, "PERMISSION_DENIED", "The caller does not have permission"), jsonHeaders);
+
+try {
+  await createGcpKmsAppAuth({ ...options, gcpWorkloadIdentityProvider: undefined })({ type: "app" });
+} catch (error) {
+  console.log(error.message);
+}
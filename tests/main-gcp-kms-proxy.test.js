@@ -0,0 +1,62 @@
+import { mkdtempSync, writeFileSync } from "node:fs";
+import { createServer } from "node:http";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const keyVersion =
+  "projects/example/locations/global/keyRings/github/cryptoKeys/app/cryptoKeyVersions/1";
+
+// Stand in for a proxy that does not allow any connections
+const connections = new Set();
+const proxy = createServer();
+proxy.on("connect", (request, socket) => {
+  // Whether the metadata server is probed for application default credentials depends on timing
+  if (request.url.endsWith(".googleapis.com:443")) {
+    connections.add(request.url);
+  }
+  socket.end("HTTP/1.1 403 Forbidden\r\n\r\n");
+});
+await new Promise((resolve) => proxy.listen(0, "127.0.0.1", resolve));
+
+// The proxy is read when the module is loaded
+process.env.HTTPS_PROXY = `http://127.0.0.1:${proxy.address().port}`;
+const { default: request } = await import("../lib/request.js");
+const { createGcpKmsAppAuth } = await import("../lib/gcp-kms-auth.js");
+
+// Application default credentials, as written by `gcloud auth application-default login`
+const credentialsFile = join(mkdtempSync(join(tmpdir(), "gcp-kms-proxy-")), "credentials.json");
+writeFileSync(
+  credentialsFile,
+  JSON.stringify({
+    type: "authorized_user",
+    client_id: "client-id",
+    client_secret: "client-secret",
+    refresh_token: "refresh-token",
+  })
+);
+process.env.GOOGLE_APPLICATION_CREDENTIALS = credentialsFile;
+
+// Test that the token requests of Workload Identity Federation and of application default
+// credentials go through the proxy
+for (const gcpWorkloadIdentityProvider of [
+  "projects/123456789/locations/global/workloadIdentityPools/github/providers/actions",
+  undefined,
+]) {
+  try {
+    await createGcpKmsAppAuth({
+      appId: "123456",
+      request,
+      gcpKmsKeyVersion: keyVersion,
+      gcpWorkloadIdentityProvider,
+      getIDToken: async (audience) => `oidc-token-for-${audience}`,
+    })({ type: "app" });
+  } catch (error) {
+    console.log(error.message);
+  }
+  // Token requests are retried
+  console.log(`proxy: CONNECT ${[...connections].sort().join(", ")}`);
+  connections.clear();
+}
+
+proxy.close();
+proxy.closeAllConnections();
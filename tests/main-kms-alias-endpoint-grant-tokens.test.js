@@ -0,0 +1,35 @@
+import { test } from "./main.js";
+import { mockClient } from "aws-sdk-client-mock";
+import { KMSClient, SignCommand } from "@aws-sdk/client-kms";
+
+// Create a mock KMS client
+const kmsMock = mockClient(KMSClient);
+
+// Mock a valid RSA signature (base64 encoded)
+const mockSignature = Buffer.from(
+  "0".repeat(256), // RSA-2048 signature is 256 bytes
+  "utf-8"
+);
+
+// Set up KMS mock to return a signature
+kmsMock.on(SignCommand).resolves({
+  Signature: mockSignature,
+});
+
+// Test KMS authentication with a key alias, explicit region, custom endpoint and grant tokens
+await test(() => {
+  delete process.env["INPUT_PRIVATE-KEY"];
+  process.env["INPUT_AWS-KMS-ARN"] = "alias/github-app";
+  process.env["INPUT_AWS-REGION"] = "eu-central-1";
+  process.env["INPUT_AWS-KMS-ENDPOINT"] = "https://vpce-0123456789abcdef-abcdefgh.kms.eu-central-1.vpce.amazonaws.com";
+  process.env["INPUT_AWS-KMS-GRANT-TOKENS"] = "grant-token-1\ngrant-token-2";
+});
+
+const kmsClient = kmsMock.call(0).thisValue;
+const endpoint = await kmsClient.config.endpoint();
+const { KeyId, GrantTokens } = kmsMock.commandCalls(SignCommand)[0].args[0].input;
+
+console.log("--- AWS ---");
+console.log(`KMS region: ${await kmsClient.config.region()}`);
+console.log(`KMS endpoint: ${endpoint.protocol}//${endpoint.hostname}`);
+console.log(`Sign: ${JSON.stringify({ KeyId, GrantTokens })}`);
@@ -0,0 +1,31 @@
+import { test } from "./main.js";
+import { mockClient } from "aws-sdk-client-mock";
+import { KMSClient, SignCommand } from "@aws-sdk/client-kms";
+
+const primaryKeyArn = "arn:aws:kms:us-east-1:123456789012:key/mrk-1234abcd12ab34cd56ef1234567890ab";
+const replicaKeyArn = "arn:aws:kms:us-west-2:123456789012:key/mrk-1234abcd12ab34cd56ef1234567890ab";
+
+// Create a mock KMS client
+const kmsMock = mockClient(KMSClient);
+
+// The primary key is disabled, the replica signs
+kmsMock.on(SignCommand, { KeyId: primaryKeyArn }).rejects(
+  Object.assign(new Error(`${primaryKeyArn} is disabled.`), { name: "DisabledException" })
+);
+kmsMock.on(SignCommand, { KeyId: replicaKeyArn }).resolves({
+  Signature: Buffer.from("0".repeat(256), "utf-8"),
+});
+
+// Verify signing falls over to the next key when KMS cannot use the first one
+await test(() => {
+  delete process.env["INPUT_PRIVATE-KEY"];
+  process.env["INPUT_AWS-KMS-ARN"] = `${primaryKeyArn}\n${replicaKeyArn}`;
+});
+
+console.log("--- KMS ---");
+console.log(
+  kmsMock
+    .commandCalls(SignCommand)
+    .map((call) => `Sign ${call.args[0].input.KeyId}`)
+    .join("\n")
+);
@@ -0,0 +1,46 @@
+import { mockClient } from "aws-sdk-client-mock";
+import { KMSClient, SignCommand } from "@aws-sdk/client-kms";
+import { createKmsAppAuth } from "../lib/kms-auth.js";
+import request from "../lib/request.js";
+
+// Create a mock KMS client
+const kmsMock = mockClient(KMSClient);
+
+// Mock a valid RSA signature
+const mockSignature = Buffer.from(
+  "0".repeat(256),
+  "utf-8"
+);
+
+// Set up KMS mock to return a signature
+kmsMock.on(SignCommand).resolves({
+  Signature: mockSignature,
+});
+
+// Alias names, key IDs and ARNs without a region fall back to the AWS SDK's default region
+process.env.AWS_REGION = "ap-southeast-2";
+
+// Verify the KMS client region is resolved for each kind of key identifier
+const keyIds = [
+  "arn:aws:kms:us-east-1:123456789012:key/12345678-1234-1234-1234-123456789012",
+  "arn:aws-us-gov:kms:us-gov-west-1:123456789012:alias/github-app",
+  "alias/github-app",
+  "12345678-1234-1234-1234-123456789012",
+  "mrk-1234abcd12ab34cd56ef1234567890ab",
+  "arn:aws:kms::123456789012:alias/github-app",
+];
+
+for (const kmsKeyArn of keyIds) {
+  kmsMock.resetHistory();
+
+  const auth = createKmsAppAuth({
+    appId: "123456",
+    kmsKeyArn,
+    request,
+  });
+  await auth({ type: "app" });
+
+  const kmsClient = kmsMock.call(0).thisValue;
+  const { KeyId } = kmsMock.commandCalls(SignCommand)[0].args[0].input;
+  console.log(`${KeyId}: ${await kmsClient.config.region()}`);
+}
@@ -0,0 +1,55 @@
+import { test } from "./main.js";
+import { mockClient } from "aws-sdk-client-mock";
+import { KMSClient, SignCommand } from "@aws-sdk/client-kms";
+
+const newKeyArn = "arn:aws:kms:us-east-1:123456789012:key/11111111-1111-1111-1111-111111111111";
+const oldKeyArn = "arn:aws:kms:us-east-1:123456789012:key/22222222-2222-2222-2222-222222222222";
+
+// Create a mock KMS client that signs differently with each key
+const kmsMock = mockClient(KMSClient);
+kmsMock.on(SignCommand, { KeyId: newKeyArn }).resolves({
+  Signature: Buffer.from("new".repeat(64), "utf-8"),
+});
+kmsMock.on(SignCommand, { KeyId: oldKeyArn }).resolves({
+  Signature: Buffer.from("old".repeat(64), "utf-8"),
+});
+
+// Verify the next key is used when GitHub cannot decode a JWT, e.g. because the
+// new key has not been added to the GitHub App yet
+await test((mockPool) => {
+  delete process.env["INPUT_PRIVATE-KEY"];
+  process.env["INPUT_AWS-KMS-ARN"] = `${newKeyArn},${oldKeyArn}`;
+  process.env.INPUT_OWNER = "actions";
+  process.env.INPUT_REPOSITORIES = "rotated-repo";
+
+  mockPool
+    .intercept({
+      path: "/repos/actions/rotated-repo/installation",
+      method: "GET",
+    })
+    .reply(({ headers }) => {
+      const [_, jwt] = (headers.authorization || "").split(" ");
+      const signature = Buffer.from(jwt.split(".")[2], "base64url").toString();
+
+      if (signature.startsWith("new")) {
+        return {
+          statusCode: 401,
+          data: {
+            message: "A JSON web token could not be decoded",
+          },
+          responseOptions: {
+            headers: { "content-type": "application/json" },
+          },
+        };
+      }
+
+      return {
+        statusCode: 200,
+        data: { id: "123456", app_slug: "github-actions" },
+        responseOptions: {
+          headers: { "content-type": "application/json" },
+        },
+      };
+    })
+    .times(2);
+});
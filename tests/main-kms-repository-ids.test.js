@@ -0,0 +1,29 @@
+import { mockClient } from "aws-sdk-client-mock";
+import { KMSClient, SignCommand } from "@aws-sdk/client-kms";
+
+import { DEFAULT_ENV, test } from "./main.js";
+
+// Create a mock KMS client
+const kmsMock = mockClient(KMSClient);
+kmsMock.on(SignCommand).resolves({
+  Signature: Buffer.from("0".repeat(256), "utf-8"),
+});
+
+// Test KMS authentication with only `repository-ids`, which selects repositories of the current owner
+await test(
+  (mockPool) => {
+    mockPool
+      .intercept({ path: "/users/actions/installation", method: "GET" })
+      .reply(
+        200,
+        { id: "123456", app_slug: "github-actions" },
+        { headers: { "content-type": "application/json" } }
+      );
+  },
+  {
+    ...DEFAULT_ENV,
+    "INPUT_PRIVATE-KEY": "",
+    "INPUT_AWS-KMS-ARN": "arn:aws:kms:us-east-1:123456789012:key/12345678-1234-1234-1234-123456789012",
+    "INPUT_REPOSITORY-IDS": "1296269",
+  }
+);
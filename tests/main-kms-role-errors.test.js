@@ -0,0 +1,52 @@
+import { mockClient } from "aws-sdk-client-mock";
+import { AssumeRoleWithWebIdentityCommand, STSClient } from "@aws-sdk/client-sts";
+import { getAwsClientConfig } from "../lib/aws-credentials.js";
+
+// Stand in for STS
+const stsMock = mockClient(STSClient);
+
+const awsRoleArn = "arn:aws:iam::123456789012:role/github-app-signer";
+
+// Verify failures while assuming the role are reported with a clear error
+const cases = {
+  "missing id-token permission": {
+    getIDToken: async () => {
+      throw new Error("Unable to get ACTIONS_ID_TOKEN_REQUEST_URL env variable");
+    },
+  },
+  "untrusted repository": {
+    getIDToken: async () => "oidc-token",
+    sts: Object.assign(
+      new Error("Not authorized to perform sts:AssumeRoleWithWebIdentity"),
+      { name: "AccessDenied" }
+    ),
+  },
+  "no credentials returned": {
+    getIDToken: async () => "oidc-token",
+    sts: {},
+  },
+  "no OIDC token provider": {},
+};
+
+for (const [name, { getIDToken, sts }] of Object.entries(cases)) {
+  stsMock.reset();
+  if (sts instanceof Error) {
+    stsMock.on(AssumeRoleWithWebIdentityCommand).rejects(sts);
+  } else {
+    stsMock.on(AssumeRoleWithWebIdentityCommand).resolves(sts ?? {});
+  }
+
+  const config = getAwsClientConfig({
+    awsRoleArn,
+    awsRoleSessionName: "release",
+    getIDToken,
+    region: "us-east-1",
+  });
+
+  try {
+    await config.credentials();
+    throw new Error(`Expected ${name} to fail`);
+  } catch (error) {
+    console.log(`${name}: ${error.message}`);
+  }
+}
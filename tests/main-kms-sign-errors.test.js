@@ -0,0 +1,85 @@
+import { mockClient } from "aws-sdk-client-mock";
+import { KMSClient, SignCommand } from "@aws-sdk/client-kms";
+import { createKmsAppAuth } from "../lib/kms-auth.js";
+import request from "../lib/request.js";
+
+// Create a mock KMS client
+const kmsMock = mockClient(KMSClient);
+
+// Mock a valid RSA signature
+const mockSignature = Buffer.from(
+  "0".repeat(256),
+  "utf-8"
+);
+
+/**
+ * @param {string} name
+ * @param {string} message
+ */
+function awsError(name, message) {
+  return Object.assign(new Error(message), { name });
+}
+
+// Verify permanent KMS errors are translated into actionable messages and not retried
+const permanentErrors = [
+  awsError("AccessDeniedException", "User: arn:aws:sts::123456789012:assumed-role/ci is not authorized to perform: kms:Sign"),
+  awsError("DisabledException", "arn:aws:kms:us-east-1:123456789012:key/12345678-1234-1234-1234-123456789012 is disabled."),
+  awsError("KMSInvalidStateException", "arn:aws:kms:us-east-1:123456789012:key/12345678-1234-1234-1234-123456789012 is pending deletion."),
+  awsError("NotFoundException", "Key 'arn:aws:kms:us-east-1:123456789012:key/12345678-1234-1234-1234-123456789012' does not exist"),
+  awsError("InvalidKeyUsageException", "KeyUsage ENCRYPT_DECRYPT is not compatible with Sign"),
+  awsError("CredentialsProviderError", "Could not load credentials from any providers"),
+  awsError("ValidationException", "1 validation error detected"),
+];
+
+for (const [index, error] of permanentErrors.entries()) {
+  kmsMock.reset();
+  kmsMock.on(SignCommand).rejects(error);
+
+  const auth = createKmsAppAuth({
+    appId: "123456",
+    kmsKeyArn: "arn:aws:kms:us-east-1:123456789012:key/12345678-1234-1234-1234-123456789012",
+    // Use a profile for one of the cases to verify it is named as the credentials source
+    awsProfile: index === 0 ? "my-aws-profile" : undefined,
+    // Use a role for one of the cases to verify it is named as the credentials source
+    awsRoleArn: index === 3 ? "arn:aws:iam::123456789012:role/github-app-signer" : undefined,
+    request,
+  });
+
+  try {
+    await auth({ type: "app" });
+    throw new Error(`Expected ${error.name} to fail`);
+  } catch (error) {
+    console.log(`${error.message} [attempts: ${kmsMock.commandCalls(SignCommand).length}]`);
+  }
+}
+
+// Verify transient KMS errors fail with the number of attempts once all retries have failed
+kmsMock.reset();
+kmsMock.on(SignCommand).rejects(awsError("ThrottlingException", "Rate exceeded"));
+
+try {
+  await createKmsAppAuth({
+    appId: "123456",
+    kmsKeyArn: "arn:aws:kms:us-east-1:123456789012:key/12345678-1234-1234-1234-123456789012",
+    request,
+  })({ type: "app" });
+  throw new Error("Expected ThrottlingException to fail");
+} catch (error) {
+  console.log(`${error.message} [attempts: ${kmsMock.commandCalls(SignCommand).length}]`);
+}
+
+// Verify transient KMS errors are retried
+kmsMock.reset();
+kmsMock
+  .on(SignCommand)
+  .rejectsOnce(awsError("ThrottlingException", "Rate exceeded"))
+  .resolves({ Signature: mockSignature });
+
+const auth = createKmsAppAuth({
+  appId: "123456",
+  kmsKeyArn: "arn:aws:kms:us-east-1:123456789012:key/12345678-1234-1234-1234-123456789012",
+  request,
+});
+
+const appAuth = await auth({ type: "app" });
+console.log(`ThrottlingException retried: ${appAuth.token.split(".").length === 3} [attempts: ${kmsMock.commandCalls(SignCommand).length}]`);
@@ -0,0 +1,72 @@
+import { MockAgent, setGlobalDispatcher } from "undici";
+import { mockClient } from "aws-sdk-client-mock";
+import { KMSClient, SignCommand } from "@aws-sdk/client-kms";
+import { DEFAULT_ENV } from "./main.js";
+
+process.env["INPUT_GITHUB-API-URL"] = DEFAULT_ENV["INPUT_GITHUB-API-URL"];
+
+const { createKmsAppAuth } = await import("../lib/kms-auth.js");
+const { default: request } = await import("../lib/request.js");
+
+// Create a mock KMS client
+const kmsMock = mockClient(KMSClient);
+
+// Mock a valid RSA signature
+const mockSignature = Buffer.from(
+  "0".repeat(256),
+  "utf-8"
+);
+
+// Set up KMS mock to return a signature
+kmsMock.on(SignCommand).resolves({
+  Signature: mockSignature,
+});
+
+const mockAgent = new MockAgent();
+mockAgent.disableNetConnect();
+setGlobalDispatcher(mockAgent);
+const mockPool = mockAgent.get("https://api.github.com");
+
+// A time skew error without a `Date` header cannot be corrected
+mockPool
+  .intercept({ path: "/repos/actions/skewed/installation", method: "GET" })
+  .reply(
+    401,
+    {
+      message:
+        "'Expiration time' claim ('exp') must be a numeric value representing the future time at which the assertion expires.",
+    },
+    { headers: { "content-type": "application/json" } }
+  );
+
+// Other errors are not retried
+mockPool
+  .intercept({ path: "/repos/actions/missing/installation", method: "GET" })
+  .reply(
+    404,
+    { message: "Not Found" },
+    { headers: { "content-type": "application/json" } }
+  );
+
+const auth = createKmsAppAuth({
+  appId: "123456",
+  kmsKeyArn: "arn:aws:kms:us-east-1:123456789012:key/12345678-1234-1234-1234-123456789012",
+  request,
+});
+
+for (const repo of ["skewed", "missing"]) {
+  try {
+    await request("GET /repos/{owner}/{repo}/installation", {
+      owner: "actions",
+      repo,
+      request: {
+        hook: auth.hook,
+      },
+    });
+    throw new Error(`Expected request for ${repo} to fail`);
+  } catch (error) {
+    console.log(`${repo}: ${error.status} ${error.message}`);
+  }
+}
+
+console.log(`KMS sign calls: ${kmsMock.commandCalls(SignCommand).length}`);
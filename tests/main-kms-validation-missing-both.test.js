@@ -26,7 +26,7 @@ if (!errorThrown) {
   throw new Error("Expected error to be thrown when neither private-key nor aws-kms-arn is provided");
 }
 
-if (!errorMessage.includes("Either 'private-key' or 'aws-kms-arn' must be provided")) {
+if (!errorMessage.includes("Either 'private-key', 'encrypted-private-key', 'private-key-secret-arn', 'private-key-ssm-parameter', 'aws-kms-arn', 'vault-transit-key', 'gcp-kms-key-version', 'azure-key-vault-key-id', 'pkcs11-module', or 'signer-command' must be provided")) {
   throw new Error(`Expected specific error message, got: ${errorMessage}`);
 }
 
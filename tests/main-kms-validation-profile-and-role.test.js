@@ -0,0 +1,34 @@
+import { DEFAULT_ENV } from "./main.js";
+
+// Test that an error is thrown when both aws-profile and aws-role-arn are provided
+let errorThrown = false;
+let errorMessage = "";
+
+try {
+  for (const [key, value] of Object.entries({
+    ...DEFAULT_ENV,
+    "INPUT_PRIVATE-KEY": "",
+    "INPUT_AWS-KMS-ARN": "arn:aws:kms:us-east-1:123456789012:key/12345678-1234-1234-1234-123456789012",
+    "INPUT_AWS-PROFILE": "my-aws-profile",
+    "INPUT_AWS-ROLE-ARN": "arn:aws:iam::123456789012:role/github-app-signer",
+  })) {
+    process.env[key] = value;
+  }
+
+  // This should throw an error
+  const { default: promise } = await import("../main.js");
+  await promise;
+} catch (error) {
+  errorThrown = true;
+  errorMessage = error.message;
+}
+
+if (!errorThrown) {
+  throw new Error("Expected error to be thrown when both aws-profile and aws-role-arn are provided");
+}
+
+if (!errorMessage.includes("Only one of 'aws-profile' or 'aws-role-arn' should be provided")) {
+  throw new Error(`Expected specific error message, got: ${errorMessage}`);
+}
+
+console.log("✓ KMS validation (profile and role) test passed");
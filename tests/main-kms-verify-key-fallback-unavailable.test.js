@@ -0,0 +1,37 @@
+import { createPrivateKey, createPublicKey, sign } from "node:crypto";
+
+import { DEFAULT_ENV, test } from "./main.js";
+import { mockClient } from "aws-sdk-client-mock";
+import { GetPublicKeyCommand, KMSClient, SignCommand } from "@aws-sdk/client-kms";
+
+const primaryKeyArn = "arn:aws:kms:us-east-1:123456789012:key/mrk-1234abcd12ab34cd56ef1234567890ab";
+const replicaKeyArn = "arn:aws:kms:us-west-2:123456789012:key/mrk-1234abcd12ab34cd56ef1234567890ab";
+const secondReplicaKeyArn = "arn:aws:kms:eu-west-1:123456789012:key/mrk-1234abcd12ab34cd56ef1234567890ab";
+
+// Use the test private key as if it had been imported into KMS
+const privateKey = createPrivateKey(DEFAULT_ENV["INPUT_PRIVATE-KEY"]);
+const publicKeyDer = createPublicKey(privateKey).export({ format: "der", type: "spki" });
+
+// Create a mock KMS client
+const kmsMock = mockClient(KMSClient);
+
+// The primary key and the second replica are valid, the first replica is disabled
+kmsMock.on(GetPublicKeyCommand).resolves({
+  KeySpec: "RSA_2048",
+  KeyUsage: "SIGN_VERIFY",
+  SigningAlgorithms: ["RSASSA_PKCS1_V1_5_SHA_256"],
+  PublicKey: new Uint8Array(publicKeyDer),
+});
+kmsMock.on(GetPublicKeyCommand, { KeyId: replicaKeyArn }).rejects(
+  Object.assign(new Error(`${replicaKeyArn} is disabled.`), { name: "DisabledException" })
+);
+kmsMock.on(SignCommand).callsFake(({ Message }) => ({
+  Signature: new Uint8Array(sign("sha256", Buffer.from(Message), privateKey)),
+}));
+
+// Verify an unavailable fallback key only warns, and the token is created with the primary key
+await test(() => {
+  delete process.env["INPUT_PRIVATE-KEY"];
+  process.env["INPUT_AWS-KMS-ARN"] = `${primaryKeyArn}\n${replicaKeyArn}\n${secondReplicaKeyArn}`;
+  process.env["INPUT_VERIFY-KMS-KEY"] = "true";
+});
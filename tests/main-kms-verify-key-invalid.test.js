@@ -0,0 +1,60 @@
+import { createPrivateKey, createPublicKey, sign } from "node:crypto";
+
+import { DEFAULT_ENV } from "./main.js";
+import { mockClient } from "aws-sdk-client-mock";
+import { GetPublicKeyCommand, KMSClient, SignCommand } from "@aws-sdk/client-kms";
+import { verifyKmsKey } from "../lib/kms-auth.js";
+
+const privateKey = createPrivateKey(DEFAULT_ENV["INPUT_PRIVATE-KEY"]);
+const publicKeyDer = createPublicKey(privateKey).export({ format: "der", type: "spki" });
+
+const validKey = {
+  KeySpec: "RSA_2048",
+  KeyUsage: "SIGN_VERIFY",
+  SigningAlgorithms: ["RSASSA_PKCS1_V1_5_SHA_256"],
+  PublicKey: new Uint8Array(publicKeyDer),
+};
+
+// Create a mock KMS client that returns a signature from a different key
+const kmsMock = mockClient(KMSClient);
+kmsMock.on(SignCommand).resolves({
+  Signature: Buffer.from("0".repeat(256), "utf-8"),
+});
+
+// Verify each misconfiguration is reported with a clear error
+const cases = {
+  "ECC key": { ...validKey, KeySpec: "ECC_NIST_P256" },
+  "encryption key": { ...validKey, KeyUsage: "ENCRYPT_DECRYPT" },
+  "PSS-only key": { ...validKey, SigningAlgorithms: ["RSASSA_PSS_SHA_256"] },
+  "missing public key": { ...validKey, PublicKey: undefined },
+  "signature mismatch": validKey,
+};
+
+for (const [name, response] of Object.entries(cases)) {
+  kmsMock.on(GetPublicKeyCommand).resolves(response);
+
+  try {
+    await verifyKmsKey({
+      kmsKeyArn: "arn:aws:kms:us-east-1:123456789012:key/12345678-1234-1234-1234-123456789012",
+    });
+    throw new Error(`Expected ${name} to fail verification`);
+  } catch (error) {
+    console.log(`${name}: ${error.message}`);
+  }
+}
+
+// Verify the step fails when the KMS key belongs to another app
+kmsMock.on(GetPublicKeyCommand).resolves(validKey);
+kmsMock.on(SignCommand).callsFake(({ Message }) => ({
+  Signature: new Uint8Array(sign("sha256", Buffer.from(Message), privateKey)),
+}));
+
+try {
+  await verifyKmsKey({
+    kmsKeyArn: "arn:aws:kms:us-east-1:123456789012:key/12345678-1234-1234-1234-123456789012",
+    expectedFingerprint: "SHA256:dGhpcyBpcyBub3QgdGhlIGZpbmdlcnByaW50IHlvdSBhcmUgbG9va2luZyBmb3I=",
+  });
+  throw new Error("Expected fingerprint mismatch to fail verification");
+} catch (error) {
+  console.log(`fingerprint mismatch: ${error.message}`);
+}
@@ -0,0 +1,38 @@
+import { DEFAULT_ENV } from "./main.js";
+
+// Test that the KMS key checks are rejected instead of ignored when the app JWT is not
+// signed with AWS KMS
+for (const [index, env] of [
+  { "INPUT_VERIFY-KMS-KEY": "true" },
+  {
+    "INPUT_PRIVATE-KEY": "",
+    "INPUT_VAULT-ADDR": "https://vault.example.com:8200",
+    "INPUT_VAULT-TRANSIT-KEY": "github-app",
+    "INPUT_VAULT-TOKEN": "hvs.example",
+    "INPUT_EXPECTED-KEY-FINGERPRINT": "SHA256:UB6/FPJg2p7aCvlFMkdswx+mShqcH0UjNP6oGc0k6Fs=",
+  },
+  {
+    "INPUT_PRIVATE-KEY": "",
+    "INPUT_PKCS11-MODULE": "/usr/lib/softhsm/libsofthsm2.so",
+    "INPUT_PKCS11-TOKEN-LABEL": "github-app",
+    "INPUT_PKCS11-KEY-LABEL": "app-key",
+    "INPUT_VERIFY-KMS-KEY": "true",
+    "INPUT_EXPECTED-KEY-FINGERPRINT": "SHA256:UB6/FPJg2p7aCvlFMkdswx+mShqcH0UjNP6oGc0k6Fs=",
+  },
+].entries()) {
+  for (const [key, value] of Object.entries({ ...DEFAULT_ENV, ...env })) {
+    process.env[key] = value;
+  }
+
+  try {
+    // Each case evaluates main.js again
+    const { default: promise } = await import(`../main.js?case=${index}`);
+    await promise;
+  } catch (error) {
+    console.log(error.message);
+  }
+
+  for (const key of Object.keys(env)) {
+    delete process.env[key];
+  }
+}
@@ -0,0 +1,34 @@
+import { createHash, createPrivateKey, createPublicKey, sign } from "node:crypto";
+
+import { DEFAULT_ENV, test } from "./main.js";
+import { mockClient } from "aws-sdk-client-mock";
+import { GetPublicKeyCommand, KMSClient, SignCommand } from "@aws-sdk/client-kms";
+
+// Use the test private key as if it had been imported into KMS
+const privateKey = createPrivateKey(DEFAULT_ENV["INPUT_PRIVATE-KEY"]);
+const publicKeyDer = createPublicKey(privateKey).export({ format: "der", type: "spki" });
+const fingerprint = createHash("sha256").update(publicKeyDer).digest("base64");
+
+// Create a mock KMS client
+const kmsMock = mockClient(KMSClient);
+
+kmsMock.on(GetPublicKeyCommand).resolves({
+  KeySpec: "RSA_2048",
+  KeyUsage: "SIGN_VERIFY",
+  SigningAlgorithms: ["RSASSA_PKCS1_V1_5_SHA_256", "RSASSA_PSS_SHA_256"],
+  PublicKey: new Uint8Array(publicKeyDer),
+});
+
+// Sign with the private key so that signatures verify with the public key
+kmsMock.on(SignCommand).callsFake(({ Message }) => ({
+  Signature: new Uint8Array(sign("sha256", Buffer.from(Message), privateKey)),
+}));
+
+// Verify the KMS key is checked, and its fingerprint output, before a token is created
+await test(() => {
+  delete process.env["INPUT_PRIVATE-KEY"];
+  process.env["INPUT_AWS-KMS-ARN"] = "arn:aws:kms:us-east-1:123456789012:key/12345678-1234-1234-1234-123456789012";
+  process.env["INPUT_VERIFY-KMS-KEY"] = "true";
+  // GitHub shows the fingerprint with a `SHA256:` prefix, but it is optional
+  process.env["INPUT_EXPECTED-KEY-FINGERPRINT"] = fingerprint;
+});
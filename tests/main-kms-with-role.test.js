@@ -0,0 +1,52 @@
+import core from "@actions/core";
+
+import { test } from "./main.js";
+import { mockClient } from "aws-sdk-client-mock";
+import { KMSClient, SignCommand } from "@aws-sdk/client-kms";
+import { AssumeRoleWithWebIdentityCommand, STSClient } from "@aws-sdk/client-sts";
+
+// Create a mock KMS client
+const kmsMock = mockClient(KMSClient);
+
+// Mock a valid RSA signature (base64 encoded)
+const mockSignature = Buffer.from(
+  "0".repeat(256), // RSA-2048 signature is 256 bytes
+  "utf-8"
+);
+
+// Set up KMS mock to return a signature
+kmsMock.on(SignCommand).resolves({
+  Signature: mockSignature,
+});
+
+// Stand in for STS
+const stsMock = mockClient(STSClient);
+stsMock.on(AssumeRoleWithWebIdentityCommand).resolves({
+  Credentials: {
+    AccessKeyId: "ASIAEXAMPLE",
+    SecretAccessKey: "secret",
+    SessionToken: "session-token",
+    Expiration: new Date("2016-07-11T22:14:10Z"),
+  },
+});
+
+// Stand in for the Actions OIDC token endpoint
+core.getIDToken = async (audience) => `oidc-token-for-${audience}`;
+
+// Test KMS authentication with an AWS role assumed with the GitHub OIDC token
+await test(() => {
+  delete process.env["INPUT_PRIVATE-KEY"];
+  process.env["INPUT_AWS-KMS-ARN"] = "arn:aws:kms:us-east-1:123456789012:key/12345678-1234-1234-1234-123456789012";
+  process.env["INPUT_AWS-ROLE-ARN"] = "arn:aws:iam::123456789012:role/github-app-signer";
+  process.env["INPUT_AWS-REGION"] = "eu-west-1";
+});
+
+// The KMS client resolves its credentials by assuming the role
+const kmsClient = kmsMock.call(0).thisValue;
+const credentials = await kmsClient.config.credentials();
+
+console.log("--- AWS ---");
+console.log(`KMS region: ${await kmsClient.config.region()}`);
+console.log(`KMS credentials: ${credentials.accessKeyId}`);
+console.log(`AssumeRoleWithWebIdentity: ${JSON.stringify(stsMock.commandCalls(AssumeRoleWithWebIdentityCommand)[0].args[0].input)}`);
+console.log(`Exported to environment: ${"AWS_ACCESS_KEY_ID" in process.env}`);
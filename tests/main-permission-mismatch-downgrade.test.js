@@ -0,0 +1,9 @@
+import { test } from "./main.js";
+
+// Test that permissions exceeding the installation's permissions are downgraded with a warning
+await test(() => {
+  process.env["INPUT_PERMISSION-ADMINISTRATION"] = "write";
+  process.env["INPUT_PERMISSION-ISSUES"] = "write";
+  process.env["INPUT_PERMISSION-METADATA"] = "write";
+  process.env["INPUT_PERMISSIONS-MISMATCH"] = "downgrade";
+});
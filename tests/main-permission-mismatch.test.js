@@ -0,0 +1,131 @@
+import core from "@actions/core";
+import { createAppAuth } from "@octokit/auth-app";
+import { request } from "@octokit/request";
+import { MockAgent, setGlobalDispatcher } from "undici";
+
+import { DEFAULT_ENV } from "./main.js";
+import { getPermissionsFromInputs } from "../lib/get-permissions-from-inputs.js";
+import { main } from "../lib/main.js";
+import { validatePermissions } from "../lib/validate-permissions.js";
+
+// Test that permission names and access levels are validated before any request
+for (const permissions of [
+  { content: "write", issues: "wrte" },
+  { repository_projects: "none", workflows: "read", not_a_permission: "read" },
+]) {
+  try {
+    validatePermissions(permissions, "'permission-<permission name>' inputs");
+  } catch (error) {
+    console.log(error.message);
+  }
+}
+
+const mockAgent = new MockAgent();
+mockAgent.disableNetConnect();
+setGlobalDispatcher(mockAgent);
+const mockPool = mockAgent.get("https://api.github.com");
+
+// The app slug is looked up, as the installation is not
+mockPool
+  .intercept({ path: "/app", method: "GET" })
+  .reply(200, { id: 123456, slug: "my-app" }, { headers: { "content-type": "application/json" } })
+  .persist();
+
+const auth = createAppAuth({
+  appId: DEFAULT_ENV["INPUT_APP-ID"],
+  privateKey: DEFAULT_ENV["INPUT_PRIVATE-KEY"],
+  request,
+});
+
+// Test that permissions exceeding the installation's permissions fail with a table of the mismatches
+mockPool
+  .intercept({ path: "/app/installations/2001", method: "GET" })
+  .reply(
+    200,
+    { id: 2001, permissions: { contents: "read", metadata: "read" } },
+    { headers: { "content-type": "application/json" } }
+  );
+
+try {
+  await main({
+    owner: "my-org",
+    repositories: [],
+    permissions: { contents: "write", secrets: "read" },
+    core,
+    auth,
+    request,
+    skipTokenRevoke: false,
+    providedInstallationId: "2001",
+  });
+} catch (error) {
+  console.log(error.message);
+}
+
+// Test that downgrading fails if none of the permissions are granted
+mockPool
+  .intercept({ path: "/app/installations/2001", method: "GET" })
+  .reply(
+    200,
+    { id: 2001, permissions: { metadata: "read" } },
+    { headers: { "content-type": "application/json" } }
+  );
+
+try {
+  await main({
+    owner: "my-org",
+    repositories: [],
+    permissions: { secrets: "read" },
+    core,
+    auth,
+    request,
+    skipTokenRevoke: false,
+    providedInstallationId: "2001",
+    permissionMismatch: "downgrade",
+  });
+} catch (error) {
+  console.log(error.message);
+}
+
+// Test that an installation response without permissions grants none
+mockPool
+  .intercept({ path: "/app/installations/2001", method: "GET" })
+  .reply(200, { id: 2001 }, { headers: { "content-type": "application/json" } });
+
+try {
+  await main({
+    owner: "my-org",
+    repositories: [],
+    permissions: { contents: "read" },
+    core,
+    auth,
+    request,
+    skipTokenRevoke: false,
+    providedInstallationId: "2001",
+  });
+} catch (error) {
+  console.log(error.message);
+}
+
+// Test that `permissions-mismatch` is not read as a permission, as it is outside the
+// `permission-*` inputs
+console.log(
+  getPermissionsFromInputs({
+    "INPUT_PERMISSION-CONTENTS": "read",
+    "INPUT_PERMISSIONS-MISMATCH": "downgrade",
+  })
+);
+
+// Test that `permissions-mismatch` must be `fail` or `downgrade`
+try {
+  for (const [key, value] of Object.entries({
+    ...DEFAULT_ENV,
+    "INPUT_PERMISSIONS-MISMATCH": "clamp",
+  })) {
+    process.env[key] = value;
+  }
+
+  const { default: promise } = await import("../main.js");
+  await promise;
+} catch (error) {
+  console.log(error.message);
+}
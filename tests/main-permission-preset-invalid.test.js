@@ -0,0 +1,68 @@
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { DEFAULT_ENV } from "./main.js";
+import { getPermissionPreset } from "../lib/permission-presets.js";
+
+const workspace = mkdtempSync(join(tmpdir(), "app-token-presets-"));
+mkdirSync(join(workspace, ".github"));
+
+// Test that built-in presets are used without a presets file
+console.log(JSON.stringify(getPermissionPreset("read-only", { workspace })));
+try {
+  getPermissionPreset("deploy", { workspace });
+} catch (error) {
+  console.log(error.message);
+}
+
+// Test that invalid presets files and unknown presets are reported with what needs fixing
+for (const [content, name, file] of [
+  ["release: { contents: write }\n", "deploy", undefined],
+  ["release: [unclosed\n", "release", undefined],
+  ["- release\n", "release", undefined],
+  ["release: contents\n", "release", undefined],
+  ["release:\n  contents: { access: write }\n", "release", undefined],
+  ["", "release", "presets/missing.yml"],
+]) {
+  writeFileSync(join(workspace, ".github/app-token-presets.yml"), content);
+  try {
+    getPermissionPreset(name, { workspace, file });
+  } catch (error) {
+    console.log(error.message.split("\n")[0].replace(workspace, "<workspace>"));
+  }
+}
+
+// Test that presets are validated against the app permissions
+try {
+  writeFileSync(
+    join(workspace, ".github/app-token-presets.yml"),
+    "release:\n  contents: admin\n"
+  );
+  for (const [key, value] of Object.entries({
+    ...DEFAULT_ENV,
+    GITHUB_WORKSPACE: workspace,
+    "INPUT_PERMISSIONS-PRESET": "release",
+  })) {
+    process.env[key] = value;
+  }
+
+  const { default: promise } = await import("../main.js");
+  await promise;
+} catch (error) {
+  console.log(error.message);
+}
+
+// Test that the presets file is read from the working directory without GITHUB_WORKSPACE
+try {
+  delete process.env.GITHUB_WORKSPACE;
+  process.chdir(workspace);
+
+  // main.js was already evaluated by the test above
+  const { default: promise } = await import("../main.js?without-workspace");
+  await promise;
+} catch (error) {
+  console.log(error.message);
+}
+
+rmSync(workspace, { recursive: true });
@@ -0,0 +1,26 @@
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { test } from "./main.js";
+
+// Test that a preset from the presets file is merged with the `permission-*` inputs,
+// which take precedence
+const workspace = mkdtempSync(join(tmpdir(), "app-token-presets-"));
+await test(() => {
+  mkdirSync(join(workspace, ".github"));
+  writeFileSync(
+    join(workspace, ".github/app-token-presets.yml"),
+    `release:
+  contents: write
+  pull-requests: write
+  issues: write
+`
+  );
+
+  process.env.GITHUB_WORKSPACE = workspace;
+  process.env["INPUT_PERMISSIONS-PRESET"] = "release";
+  process.env["INPUT_PERMISSION-ISSUES"] = "read";
+});
+
+rmSync(workspace, { recursive: true });
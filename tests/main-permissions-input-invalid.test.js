@@ -0,0 +1,14 @@
+import { getPermissionsFromInputs } from "../lib/get-permissions-from-inputs.js";
+
+// Test that invalid `permissions` inputs are reported with what needs fixing
+for (const input of ["contents: [unclosed", "- contents", "contents:\n  access: read", "null"]) {
+  try {
+    getPermissionsFromInputs({ INPUT_PERMISSIONS: input });
+  } catch (error) {
+    console.log(error.message.split("\n")[0]);
+  }
+}
+
+// Test that JSON is accepted, and an empty map inherits the installation's permissions
+console.log(JSON.stringify(getPermissionsFromInputs({ INPUT_PERMISSIONS: '{"Pull-Requests": "read"}' })));
+console.log(JSON.stringify(getPermissionsFromInputs({ INPUT_PERMISSIONS: "{}" })));
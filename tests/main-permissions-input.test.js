@@ -0,0 +1,11 @@
+import { test } from "./main.js";
+
+// Test that the `permissions` input is merged with the `permission-*` inputs, which take precedence
+await test(() => {
+  process.env.INPUT_PERMISSIONS = `
+Contents: read
+pull-requests: write
+issues: read
+`;
+  process.env["INPUT_PERMISSION-CONTENTS"] = "write";
+});
@@ -0,0 +1,239 @@
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { createAppAuth } from "@octokit/auth-app";
+import { request } from "@octokit/request";
+import { MockAgent, setGlobalDispatcher } from "undici";
+
+import { DEFAULT_ENV } from "./main.js";
+import { main } from "../lib/main.js";
+import {
+  enforceOwnerPolicy,
+  enforcePolicy,
+  getPolicyContext,
+  parsePolicy,
+  readPolicyFile,
+} from "../lib/policy.js";
+
+// Stub core that logs like the runner and reads the deployment environment from an OIDC token
+const core = {
+  info: (message) => console.log(message),
+  getIDToken: async () =>
+    `header.${Buffer.from(JSON.stringify({ environment: "staging" })).toString("base64url")}.signature`,
+};
+
+const context = getPolicyContext(
+  {
+    GITHUB_WORKFLOW_REF: "my-org/app/.github/workflows/ci.yml@refs/heads/feature",
+    GITHUB_REF: "refs/heads/feature",
+    GITHUB_EVENT_NAME: "pull_request",
+  },
+  core
+);
+
+const policy = parsePolicy(
+  `rules:
+  - name: staging
+    environment: staging
+    permissions: { contents: read, pull-requests: write }
+    repositories: [my-org/app, my-org/docs-*]
+  - event: pull_request
+    permissions: { contents: read }
+  - name: main only
+    ref: refs/heads/main
+`,
+  "'app-token-policy.yml'"
+);
+
+// Test that requests outside every matching rule are denied with the reason of each rule
+for (const tokenRequest of [
+  { owner: "my-org", repositoryNames: ["app"], permissions: { contents: "read" } },
+  { owner: "my-org", repositoryNames: ["app"], permissions: { contents: "write" } },
+  { owner: "my-org", repositoryNames: ["app", "infra"], permissions: { pull_requests: "write" } },
+  { owner: "my-org", repositoryIds: [42], permissions: { pull_requests: "read" } },
+  { owner: "my-org", repositoryNames: ["app"], repositoryIds: [42], permissions: { contents: "read" } },
+  { owner: "my-org", permissions: { pull_requests: "write" } },
+  { owner: "my-org" },
+]) {
+  try {
+    await enforcePolicy(policy, context, tokenRequest, core);
+  } catch (error) {
+    console.log(error.message);
+  }
+}
+
+// Test that requests are checked before their repositories are resolved, with the
+// permissions only if they are not downgraded later
+for (const [tokenRequest, checkPermissions] of [
+  [{ owner: "other-org", permissions: { contents: "read" } }, true],
+  [{ owner: "my-org", permissions: { contents: "write" } }, true],
+  [{ owner: "My-Org", permissions: { contents: "write" } }, false],
+]) {
+  try {
+    await enforceOwnerPolicy(
+      parsePolicy(
+        "rules:\n  - permissions: { contents: read }\n    repositories: [my-org/*]\n",
+        "'app-token-policy.yml'"
+      ),
+      context,
+      tokenRequest,
+      core,
+      checkPermissions
+    );
+  } catch (error) {
+    console.log(error.message);
+  }
+}
+
+// Test that the workflow run is read from the OIDC token rather than the environment
+// variables when it is available
+const oidcContext = getPolicyContext(
+  {
+    GITHUB_WORKFLOW_REF: "my-org/app/.github/workflows/release.yml@refs/heads/main",
+    GITHUB_REF: "refs/heads/main",
+    GITHUB_EVENT_NAME: "push",
+  },
+  {
+    ...core,
+    getIDToken: async () =>
+      `header.${Buffer.from(
+        JSON.stringify({
+          job_workflow_ref: "my-org/app/.github/workflows/ci.yml@refs/heads/feature",
+          ref: "refs/heads/feature",
+          event_name: "pull_request",
+        })
+      ).toString("base64url")}.signature`,
+  }
+);
+try {
+  await enforcePolicy(
+    policy,
+    oidcContext,
+    { owner: "my-org", repositoryNames: ["app"], permissions: { administration: "write" } },
+    core
+  );
+} catch (error) {
+  console.log(error.message);
+}
+
+// Test that invalid policy files are reported with what needs fixing
+for (const content of [
+  "rules: [unclosed\n",
+  "- event: push\n",
+  "rules:\n  - push\n",
+  "rules:\n  - name: release\n    branch: main\n",
+  "rules:\n  - workflow: [{ path: release.yml }]\n",
+  "rules:\n  - permissions: [contents]\n",
+  "rules:\n  - permissions: { content: write }\n",
+]) {
+  try {
+    parsePolicy(content, "'app-token-policy.yml'");
+  } catch (error) {
+    console.log(error.message);
+  }
+}
+
+const workspace = mkdtempSync(join(tmpdir(), "app-token-policy-"));
+try {
+  readPolicyFile("missing.yml", workspace);
+} catch (error) {
+  console.log(error.message.replace(workspace, "<workspace>"));
+}
+rmSync(workspace, { recursive: true });
+
+// Test that a denied token is not created, and the environment is unset without an OIDC token
+const mockAgent = new MockAgent();
+mockAgent.disableNetConnect();
+setGlobalDispatcher(mockAgent);
+const mockPool = mockAgent.get("https://api.github.com");
+
+// The app slug is looked up, as the installation is not
+mockPool
+  .intercept({ path: "/app", method: "GET" })
+  .reply(200, { id: 123456, slug: "my-app" }, { headers: { "content-type": "application/json" } })
+  .persist();
+mockPool
+  .intercept({ path: "/app/installations/2001", method: "GET" })
+  .reply(
+    200,
+    { id: 2001, permissions: { administration: "write", metadata: "read" } },
+    { headers: { "content-type": "application/json" } }
+  );
+
+const auth = createAppAuth({
+  appId: DEFAULT_ENV["INPUT_APP-ID"],
+  privateKey: DEFAULT_ENV["INPUT_PRIVATE-KEY"],
+  request,
+});
+const runnerCore = {
+  ...core,
+  getIDToken: async () => {
+    throw new Error("Unable to get ACTIONS_ID_TOKEN_REQUEST_URL env variable");
+  },
+};
+
+try {
+  await main({
+    owner: "my-org",
+    repositories: ["app"],
+    permissions: { administration: "write" },
+    core: runnerCore,
+    auth,
+    request,
+    skipTokenRevoke: false,
+    providedInstallationId: "2001",
+    policy: { context: getPolicyContext({ GITHUB_EVENT_NAME: "push" }, runnerCore), policy },
+  });
+} catch (error) {
+  console.log(error.message);
+}
+
+// Test that no token is created to resolve repository patterns when the policy denies the
+// request. Only the app slug is mocked, so resolving the patterns would fail differently.
+try {
+  await main({
+    owner: "my-org",
+    repositories: ["app-*"],
+    permissions: { administration: "write" },
+    core: runnerCore,
+    auth,
+    request,
+    skipTokenRevoke: false,
+    providedInstallationId: "2001",
+    policy: { context: getPolicyContext({ GITHUB_EVENT_NAME: "push" }, runnerCore), policy },
+  });
+} catch (error) {
+  console.log(error.message);
+}
+
+// Test that `policy-repository` must be `owner/repo`
+try {
+  for (const [key, value] of Object.entries({
+    ...DEFAULT_ENV,
+    "INPUT_POLICY-FILE": "app-token-policy.yml",
+    "INPUT_POLICY-REPOSITORY": "my-org",
+  })) {
+    process.env[key] = value;
+  }
+
+  const { default: promise } = await import("../main.js");
+  await promise;
+} catch (error) {
+  console.log(error.message);
+}
+
+// Test that the policy file is read from the working directory without GITHUB_WORKSPACE
+const workingDirectory = mkdtempSync(join(tmpdir(), "app-token-policy-"));
+try {
+  delete process.env.GITHUB_WORKSPACE;
+  delete process.env["INPUT_POLICY-REPOSITORY"];
+  process.chdir(workingDirectory);
+
+  // main.js was already evaluated by the test above
+  const { default: promise } = await import("../main.js?without-workspace");
+  await promise;
+} catch (error) {
+  console.log(error.message.replace(workingDirectory, "<working directory>"));
+}
+rmSync(workingDirectory, { recursive: true });
@@ -0,0 +1,39 @@
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { test } from "./main.js";
+
+// Test that a policy file from the workspace allows the token before it is created. The
+// deployment environment is unknown without the `id-token: write` permission, so the
+// rule for the `production` environment does not match.
+const workspace = mkdtempSync(join(tmpdir(), "app-token-policy-"));
+await test(() => {
+  writeFileSync(
+    join(workspace, "app-token-policy.yml"),
+    `rules:
+  - name: deploy
+    environment: production
+    permissions:
+      administration: write
+  - name: release
+    workflow: actions/create-github-app-token/.github/workflows/release.yml@*
+    ref: [refs/heads/main, refs/tags/v*]
+    event: push
+    permissions:
+      contents: write
+      issues: write
+    repositories: actions/create-github-app-*
+`
+  );
+
+  process.env.GITHUB_WORKSPACE = workspace;
+  process.env.GITHUB_WORKFLOW_REF =
+    "actions/create-github-app-token/.github/workflows/release.yml@refs/heads/main";
+  process.env.GITHUB_REF = "refs/heads/main";
+  process.env.GITHUB_EVENT_NAME = "push";
+  process.env["INPUT_POLICY-FILE"] = "app-token-policy.yml";
+  process.env["INPUT_PERMISSION-CONTENTS"] = "write";
+});
+
+rmSync(workspace, { recursive: true });
@@ -0,0 +1,28 @@
+import { mockClient } from "aws-sdk-client-mock";
+import { GetSecretValueCommand, SecretsManagerClient } from "@aws-sdk/client-secrets-manager";
+
+import { DEFAULT_ENV, test } from "./main.js";
+
+// Stand in for Secrets Manager, with the private key stored in a JSON secret with escaped newlines
+const secretsManagerMock = mockClient(SecretsManagerClient);
+secretsManagerMock.on(GetSecretValueCommand).resolves({
+  SecretString: JSON.stringify({
+    app_id: "123456",
+    private_key: DEFAULT_ENV["INPUT_PRIVATE-KEY"].replace(/\n/g, "\\n"),
+  }),
+});
+
+// Test signing with a private key read from a Secrets Manager secret
+await test(() => {
+  delete process.env["INPUT_PRIVATE-KEY"];
+  process.env["INPUT_PRIVATE-KEY-SECRET-ARN"] =
+    "arn:aws:secretsmanager:eu-west-1:123456789012:secret:github-app-AbCdEf";
+  process.env["INPUT_PRIVATE-KEY-JSON-FIELD"] = "private_key";
+  process.env["INPUT_PRIVATE-KEY-VERSION-STAGE"] = "AWSPREVIOUS";
+});
+
+console.log("--- SECRETS MANAGER ---");
+const calls = secretsManagerMock.commandCalls(GetSecretValueCommand);
+console.log(`GetSecretValue calls: ${calls.length}`);
+console.log(`GetSecretValue: ${JSON.stringify(calls[0].args[0].input)}`);
+console.log(`Region: ${await secretsManagerMock.call(0).thisValue.config.region()}`);
@@ -0,0 +1,26 @@
+import { mockClient } from "aws-sdk-client-mock";
+import { GetParameterCommand, SSMClient } from "@aws-sdk/client-ssm";
+
+import { DEFAULT_ENV, test } from "./main.js";
+
+// Stand in for SSM Parameter Store, with the private key stored in a SecureString parameter
+const ssmMock = mockClient(SSMClient);
+ssmMock.on(GetParameterCommand).resolves({
+  Parameter: {
+    Name: "/github-app/private-key",
+    Type: "SecureString",
+    Value: DEFAULT_ENV["INPUT_PRIVATE-KEY"],
+  },
+});
+
+// Test reading the current version of an SSM parameter given by its ARN, without 'aws-region'
+await test(() => {
+  delete process.env["INPUT_PRIVATE-KEY"];
+  process.env["INPUT_PRIVATE-KEY-SSM-PARAMETER"] =
+    "arn:aws:ssm:eu-west-1:123456789012:parameter/github-app/private-key";
+});
+
+console.log("--- SSM ---");
+const calls = ssmMock.commandCalls(GetParameterCommand);
+console.log(`GetParameter: ${JSON.stringify(calls[0].args[0].input)}`);
+console.log(`Region: ${await ssmMock.call(0).thisValue.config.region()}`);
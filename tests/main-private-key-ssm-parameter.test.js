@@ -0,0 +1,28 @@
+import { mockClient } from "aws-sdk-client-mock";
+import { GetParameterCommand, SSMClient } from "@aws-sdk/client-ssm";
+
+import { DEFAULT_ENV, test } from "./main.js";
+
+// Stand in for SSM Parameter Store, with the private key stored in a SecureString parameter
+const ssmMock = mockClient(SSMClient);
+ssmMock.on(GetParameterCommand).resolves({
+  Parameter: {
+    Name: "/github-app/private-key",
+    Type: "SecureString",
+    Value: DEFAULT_ENV["INPUT_PRIVATE-KEY"],
+  },
+});
+
+// Test signing with a private key read from an SSM parameter
+await test(() => {
+  delete process.env["INPUT_PRIVATE-KEY"];
+  process.env["INPUT_PRIVATE-KEY-SSM-PARAMETER"] = "/github-app/private-key";
+  process.env["INPUT_PRIVATE-KEY-VERSION-STAGE"] = "production";
+  process.env["INPUT_AWS-REGION"] = "us-east-1";
+});
+
+console.log("--- SSM ---");
+const calls = ssmMock.commandCalls(GetParameterCommand);
+console.log(`GetParameter calls: ${calls.length}`);
+console.log(`GetParameter: ${JSON.stringify(calls[0].args[0].input)}`);
+console.log(`Region: ${await ssmMock.call(0).thisValue.config.region()}`);
@@ -0,0 +1,49 @@
+import core from "@actions/core";
+import { createAppAuth } from "@octokit/auth-app";
+import { request } from "@octokit/request";
+
+import { DEFAULT_ENV } from "./main.js";
+import { main } from "../lib/main.js";
+
+const auth = createAppAuth({
+  appId: DEFAULT_ENV["INPUT_APP-ID"],
+  privateKey: DEFAULT_ENV["INPUT_PRIVATE-KEY"],
+  request,
+});
+
+// Test that `owner/repo` entries must belong to a single installation
+for (const [owner, repositories] of [
+  ["", ["octo-org/repo1", "other-org/repo2"]],
+  ["octo-org", ["repo1", "!other-org/legacy"]],
+  ["", ["octo-org/repo1/extra"]],
+  ["", ["/repo1"]],
+]) {
+  try {
+    await main({
+      owner,
+      repositories,
+      permissions: undefined,
+      core,
+      auth,
+      request,
+      skipTokenRevoke: false,
+    });
+  } catch (error) {
+    console.log(error.message);
+  }
+}
+
+// Test that `repository-ids` must be numeric
+try {
+  for (const [key, value] of Object.entries({
+    ...DEFAULT_ENV,
+    "INPUT_REPOSITORY-IDS": "1296269, hello-world",
+  })) {
+    process.env[key] = value;
+  }
+
+  const { default: promise } = await import("../main.js");
+  await promise;
+} catch (error) {
+  console.log(error.message);
+}
@@ -0,0 +1,106 @@
+import { createPrivateKey, createPublicKey, verify } from "node:crypto";
+
+import { request } from "@octokit/request";
+
+import { DEFAULT_ENV, test } from "./main.js";
+import { createCommandSignerAppAuth } from "../lib/command-signer-auth.js";
+
+const pem = DEFAULT_ENV["INPUT_PRIVATE-KEY"];
+
+// Stands in for a key custody CLI: signs stdin with the key from SIGNER_KEY
+process.env.SIGNER_KEY = pem;
+process.env.SIGNER_SCRIPT = `
+  const { sign } = require("node:crypto");
+  let input = "";
+  process.stdin.on("data", (chunk) => (input += chunk));
+  process.stdin.on("end", () => {
+    process.stdout.write(sign("sha256", Buffer.from(input), process.env.SIGNER_KEY).toString(process.env.SIGNER_ENCODING || "base64") + "\\n");
+  });
+`;
+
+let callHistory;
+
+// Test signing the app JWT with an external command, with the default timeout
+await test((mockPool, mockAgent) => {
+  callHistory = mockAgent.getCallHistory();
+  delete process.env["INPUT_PRIVATE-KEY"];
+  process.env["INPUT_SIGNER-COMMAND"] = 'node -e "$SIGNER_SCRIPT"';
+});
+
+/**
+ * Verify the signature of a JWT with the app's public key, as GitHub does
+ * @param {string} jwt
+ * @returns {boolean}
+ */
+function verifyJwt(jwt) {
+  const [header, payload, signature] = jwt.split(".");
+  return verify(
+    "sha256",
+    Buffer.from(`${header}.${payload}`),
+    createPublicKey(createPrivateKey(pem)),
+    Buffer.from(signature, "base64url")
+  );
+}
+
+const jwtCall = callHistory.filterCalls({ method: "POST", path: /access_tokens$/ })[0];
+console.log(
+  `JWT signature valid: ${verifyJwt(jwtCall.headers.authorization.replace(/^bearer /i, ""))}`
+);
+
+const options = {
+  appId: "123456",
+  request,
+  signerCommand: 'node -e "$SIGNER_SCRIPT"',
+};
+
+// Test that base64url output is accepted
+console.log("--- BASE64URL ---");
+process.env.SIGNER_ENCODING = "base64url";
+const { token } = await createCommandSignerAppAuth(options)({ type: "app" });
+console.log(`JWT signature valid: ${verifyJwt(token)}`);
+
+// Test that failures of the command are reported with its output
+console.log("--- ERRORS ---");
+for (const signerTimeout of [0, Number.NaN]) {
+  try {
+    createCommandSignerAppAuth({ ...options, signerTimeout });
+  } catch (error) {
+    console.log(error.message);
+  }
+}
+
+for (const failingOptions of [
+  { ...options, signerCommand: "echo 'HSM is unavailable' >&2; exit 3" },
+  { ...options, signerCommand: "exit 1" },
+  { ...options, signerCommand: "true" },
+  { ...options, signerCommand: "echo 'not a signature!'" },
+  {
+    ...options,
+    signerCommand: 'node -e "setTimeout(() => {}, 5000)"',
+    signerTimeout: 0.5,
+  },
+]) {
+  try {
+    await createCommandSignerAppAuth(failingOptions)({ type: "app" });
+  } catch (error) {
+    console.log(error.message);
+  }
+}
+
+// Test that the 'signer-timeout' input is validated
+try {
+  for (const [key, value] of Object.entries({
+    ...DEFAULT_ENV,
+    "INPUT_PRIVATE-KEY": "",
+    "INPUT_SIGNER-COMMAND": 'node -e "$SIGNER_SCRIPT"',
+    "INPUT_SIGNER-TIMEOUT": "-5",
+  })) {
+    process.env[key] = value;
+  }
+
+  // main.js was already evaluated by the test above
+  const { default: promise } = await import("../main.js?signer-timeout");
+  await promise;
+} catch (error) {
+  console.log(error.message);
+}
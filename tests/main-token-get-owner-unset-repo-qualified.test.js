@@ -0,0 +1,16 @@
+import { test } from "./main.js";
+
+// Verify `main` uses the owner of `owner/repo` entries, and passes `repository-ids` on
+await test((mockPool) => {
+  delete process.env.INPUT_OWNER;
+  process.env.INPUT_REPOSITORIES = "octo-org/repo1\nrepo2";
+  process.env["INPUT_REPOSITORY-IDS"] = "1296269, 1300192";
+
+  mockPool
+    .intercept({ path: "/repos/octo-org/repo1/installation", method: "GET" })
+    .reply(
+      200,
+      { id: "123456", app_slug: "github-actions" },
+      { headers: { "content-type": "application/json" } }
+    );
+});
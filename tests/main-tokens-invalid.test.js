@@ -0,0 +1,45 @@
+import { DEFAULT_ENV } from "./main.js";
+import { getTokensFromInput } from "../lib/get-tokens-from-input.js";
+
+// Test that invalid `tokens` inputs are reported with what needs fixing
+for (const input of [
+  "- name: [unclosed",
+  "name: release",
+  "[]",
+  "- release",
+  "- owner: org-a",
+  "- name: release/prod",
+  "- name: release\n- name: release",
+  "- name: release\n  repos: [repo1]",
+  "- name: release\n  owner: 42",
+  "- name: release\n  repositories: { repo1: true }",
+  "- name: release\n  permissions: [contents]",
+  "- name: release\n  permissions:\n    contents: { access: read }",
+]) {
+  try {
+    getTokensFromInput(input);
+  } catch (error) {
+    console.log(error.message.split("\n")[0]);
+  }
+}
+
+// Test that repositories can be a comma or newline-separated string, as in the `repositories` input
+console.log(
+  JSON.stringify(getTokensFromInput('[{"name": "release", "repositories": "repo1, repo2\\nrepo3"}]'))
+);
+
+// Test that `tokens` cannot be combined with `owner`
+try {
+  for (const [key, value] of Object.entries({
+    ...DEFAULT_ENV,
+    INPUT_OWNER: "org-a",
+    INPUT_TOKENS: "- name: release",
+  })) {
+    process.env[key] = value;
+  }
+
+  const { default: promise } = await import("../main.js");
+  await promise;
+} catch (error) {
+  console.log(error.message);
+}
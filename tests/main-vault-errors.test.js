@@ -0,0 +1,114 @@
+import { MockAgent, setGlobalDispatcher } from "undici";
+
+import request from "../lib/request.js";
+import { createVaultAppAuth } from "../lib/vault-auth.js";
+
+const vaultAddr = "https://vault.example.com:8200";
+
+const mockAgent = new MockAgent();
+mockAgent.disableNetConnect();
+setGlobalDispatcher(mockAgent);
+const vaultPool = mockAgent.get(vaultAddr);
+
+const options = {
+  appId: "123456",
+  request,
+  vaultAddr,
+  vaultTransitKey: "github-app",
+  vaultToken: "hvs.example",
+};
+
+// Test that invalid Vault configurations are rejected before signing
+for (const invalidOptions of [
+  { ...options, vaultAuthMethod: "approle" },
+  { ...options, vaultAddr: "" },
+  { ...options, vaultToken: undefined },
+  { ...options, vaultAuthMethod: "jwt" },
+  { ...options, vaultAuthMethod: "jwt", vaultRole: "create-github-app-token" },
+]) {
+  try {
+    createVaultAppAuth(invalidOptions);
+  } catch (error) {
+    console.log(error.message);
+  }
+}
+
+const signPath = "/v1/transit/sign/github-app";
+const jsonHeaders = { headers: { "content-type": "application/json" } };
+
+// Test that Vault errors are translated into actionable messages
+vaultPool
+  .intercept({ path: signPath, method: "POST" })
+  .reply(403, { errors: ["1 error occurred:\n\t* permission denied\n\n"] }, jsonHeaders);
+vaultPool
+  .intercept({ path: signPath, method: "POST" })
+  .reply(400, { errors: ["signing key not found"] }, jsonHeaders);
+vaultPool
+  .intercept({ path: signPath, method: "POST" })
+  .reply(503, "Vault is sealed", { statusText: "Service Unavailable" });
+vaultPool
+  .intercept({ path: signPath, method: "POST" })
+  .reply(200, { data: {} }, jsonHeaders);
+vaultPool
+  .intercept({ path: signPath, method: "POST" })
+  .replyWithError(new Error("connect ECONNREFUSED"));
+
+for (let i = 0; i < 5; i++) {
+  try {
+    await createVaultAppAuth(options)({ type: "app" });
+  } catch (error) {
+    console.log(error.message);
+  }
+}
+
+// Test that requests rejected before they are sent are reported, e.g. with a token
+// pasted with typographic quotes
+try {
+  await createVaultAppAuth({ ...options, vaultToken: "“hvs.example”" })({ type: "app" });
+} catch (error) {
+  console.log(error.message);
+}
+
+// Test that Vault JWT auth failures are reported
+const jwtOptions = {
+  ...options,
+  vaultToken: undefined,
+  vaultAuthMethod: "jwt",
+  vaultRole: "create-github-app-token",
+};
+
+try {
+  await createVaultAppAuth({
+    ...jwtOptions,
+    getIDToken: async () => {
+      throw new Error("Unable to get ACTIONS_ID_TOKEN_REQUEST_URL env variable");
+    },
+  })({ type: "app" });
+} catch (error) {
+  console.log(error.message);
+}
+
+vaultPool
+  .intercept({ path: "/v1/auth/jwt/login", method: "POST" })
+  .reply(400, { errors: ["error validating claims: claim \"repository\" does not match any associated bound claim values"] }, jsonHeaders);
+vaultPool
+  .intercept({ path: "/v1/auth/jwt/login", method: "POST" })
+  .reply(200, { auth: { client_token: "hvs.from-jwt-login" } }, jsonHeaders);
+vaultPool
+  .intercept({ path: signPath, method: "POST", headers: { "x-vault-token": "hvs.from-jwt-login" } })
+  .reply(200, { data: { signature: "vault:v2:c2lnbmF0dXJl" } }, jsonHeaders);
+
+const auth = createVaultAppAuth({
+  ...jwtOptions,
+  getIDToken: async (audience) => `oidc-token-for-${audience}`,
+});
+
+try {
+  await auth({ type: "app" });
+} catch (error) {
+  console.log(error.message);
+}
+
+// A failed login is retried on the next signature
+const { token } = await auth({ type: "app" });
+console.log(`JWT signature: ${token.split(".")[2]}`);
@@ -0,0 +1,55 @@
+import { createPrivateKey, sign } from "node:crypto";
+
+import core from "@actions/core";
+
+import { DEFAULT_ENV, test } from "./main.js";
+
+const vaultAddr = "https://vault.example.com:8200";
+const privateKey = createPrivateKey(DEFAULT_ENV["INPUT_PRIVATE-KEY"]);
+
+// Stand in for the Actions OIDC token endpoint
+core.getIDToken = async (audience) => `oidc-token-for-${audience}`;
+
+let callHistory;
+
+// Test signing the app JWT with a Vault Transit key, logging in to Vault with the GitHub OIDC token
+await test((mockPool, mockAgent) => {
+  callHistory = mockAgent.getCallHistory();
+  delete process.env["INPUT_PRIVATE-KEY"];
+  process.env["INPUT_VAULT-ADDR"] = `${vaultAddr}/`;
+  process.env["INPUT_VAULT-TRANSIT-KEY"] = "github-app";
+  process.env["INPUT_VAULT-AUTH-METHOD"] = "jwt";
+  process.env["INPUT_VAULT-ROLE"] = "create-github-app-token";
+  process.env["INPUT_VAULT-JWT-AUDIENCE"] = "https://vault.example.com";
+
+  // Stand in for a Vault dev server with the JWT auth method enabled
+  const vaultPool = mockAgent.get(vaultAddr);
+  vaultPool
+    .intercept({ path: "/v1/auth/jwt/login", method: "POST" })
+    .reply(
+      200,
+      { auth: { client_token: "hvs.from-jwt-login" } },
+      { headers: { "content-type": "application/json" } }
+    );
+  vaultPool
+    .intercept({
+      path: "/v1/transit/sign/github-app",
+      method: "POST",
+      headers: { "x-vault-token": "hvs.from-jwt-login" },
+    })
+    .reply(
+      200,
+      ({ body }) => {
+        const { input } = JSON.parse(body);
+        const signature = sign("sha256", Buffer.from(input, "base64"), privateKey);
+        return { data: { signature: `vault:v1:${signature.toString("base64")}` } };
+      },
+      { headers: { "content-type": "application/json" } }
+    );
+});
+
+console.log("--- VAULT ---");
+for (const call of callHistory.filterCalls({ origin: vaultAddr })) {
+  console.log(`${call.method} ${call.path}`);
+}
+console.log(`Login: ${callHistory.filterCalls({ path: "/v1/auth/jwt/login" })[0].body}`);
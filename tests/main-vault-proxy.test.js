@@ -0,0 +1,52 @@
+import { createPrivateKey, sign } from "node:crypto";
+import { createServer } from "node:http";
+
+import { DEFAULT_ENV } from "./main.js";
+
+const privateKey = createPrivateKey(DEFAULT_ENV["INPUT_PRIVATE-KEY"]);
+
+// Stand in for a Vault server, signing with the app's private key
+const vault = createServer((request, response) => {
+  let body = "";
+  request.on("data", (chunk) => (body += chunk));
+  request.on("end", () => {
+    console.log(`${request.method} ${request.url}`);
+    const { input } = JSON.parse(body);
+    const signature = sign("sha256", Buffer.from(input, "base64"), privateKey);
+    response.setHeader("content-type", "application/json");
+    response.end(JSON.stringify({ data: { signature: `vault:v1:${signature.toString("base64")}` } }));
+  });
+});
+await new Promise((resolve) => vault.listen(0, "127.0.0.1", resolve));
+
+// Stand in for a proxy, tunneling requests to the Vault server
+const proxy = createServer();
+proxy.on("connect", (request, socket) => {
+  console.log(`proxy: CONNECT ${request.url}`);
+  socket.write("HTTP/1.1 200 Connection Established\r\n\r\n");
+  vault.emit("connection", socket);
+});
+await new Promise((resolve) => proxy.listen(0, "127.0.0.1", resolve));
+
+// The proxy is read when the module is loaded
+process.env.HTTPS_PROXY = `http://127.0.0.1:${proxy.address().port}`;
+process.env.NO_PROXY = "127.0.0.1";
+const { default: request } = await import("../lib/request.js");
+const { createVaultAppAuth } = await import("../lib/vault-auth.js");
+
+// Test that requests to Vault go through the proxy, unless the host is in NO_PROXY
+for (const vaultAddr of ["http://vault.example.com:8200", `http://127.0.0.1:${vault.address().port}`]) {
+  const { token } = await createVaultAppAuth({
+    appId: "123456",
+    request,
+    vaultAddr,
+    vaultTransitKey: "github-app",
+    vaultToken: "hvs.example",
+  })({ type: "app" });
+  console.log(`JWT signed: ${token.split(".").length === 3}`);
+}
+
+proxy.close();
+proxy.closeAllConnections();
+vault.close();
+vault.closeAllConnections();
@@ -0,0 +1,49 @@
+import { createPrivateKey, createPublicKey, sign, verify } from "node:crypto";
+
+import { DEFAULT_ENV, test } from "./main.js";
+
+const vaultAddr = "https://vault.example.com:8200";
+const privateKey = createPrivateKey(DEFAULT_ENV["INPUT_PRIVATE-KEY"]);
+
+let callHistory;
+
+// Test signing the app JWT with a Vault Transit key, authenticating with a Vault token, which
+// is the default auth method
+await test((mockPool, mockAgent) => {
+  callHistory = mockAgent.getCallHistory();
+  delete process.env["INPUT_PRIVATE-KEY"];
+  process.env["INPUT_VAULT-ADDR"] = vaultAddr;
+  process.env["INPUT_VAULT-TRANSIT-KEY"] = "github-app";
+  process.env["INPUT_VAULT-TOKEN"] = "hvs.example";
+
+  // Stand in for a Vault dev server, signing with the app's private key
+  mockAgent
+    .get(vaultAddr)
+    .intercept({
+      path: "/v1/transit/sign/github-app",
+      method: "POST",
+      headers: { "x-vault-token": "hvs.example" },
+    })
+    .reply(
+      200,
+      ({ body }) => {
+        const { input } = JSON.parse(body);
+        const signature = sign("sha256", Buffer.from(input, "base64"), privateKey);
+        return { data: { signature: `vault:v1:${signature.toString("base64")}` } };
+      },
+      { headers: { "content-type": "application/json" } }
+    );
+});
+
+console.log("--- VAULT ---");
+const [signCall] = callHistory.filterCalls({ origin: vaultAddr });
+const { hash_algorithm, signature_algorithm } = JSON.parse(signCall.body);
+console.log(`${signCall.method} ${signCall.path} ${hash_algorithm} ${signature_algorithm}`);
+
+// GitHub accepts the JWT only if it verifies with the app's public key
+const jwtCall = callHistory.filterCalls({ method: "POST", path: /access_tokens$/ })[0];
+const jwt = jwtCall.headers.authorization.replace(/^bearer /i, "");
+const [header, payload, signature] = jwt.split(".");
+console.log(
+  `JWT signature valid: ${verify("sha256", Buffer.from(`${header}.${payload}`), createPublicKey(privateKey), Buffer.from(signature, "base64url"))}`
+);
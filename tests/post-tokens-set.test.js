@@ -0,0 +1,44 @@
+import { MockAgent, setGlobalDispatcher } from "undici";
+
+// state variables are set as environment variables with the prefix STATE_
+// https://docs.github.com/en/actions/using-workflows/workflow-commands-for-github-actions#sending-values-to-the-pre-and-post-actions
+const inOneHour = new Date(Date.now() + 1000 * 60 * 60).toISOString();
+process.env.STATE_tokens = JSON.stringify([
+  { name: "release", token: "secret123", expiresAt: inOneHour },
+  { name: "docs", token: "secret456", expiresAt: "2016-07-11T22:14:10Z" },
+  { name: "deploy", token: "secret789", expiresAt: inOneHour },
+]);
+
+// inputs are set as environment variables with the prefix INPUT_
+// https://docs.github.com/en/actions/creating-actions/metadata-syntax-for-github-actions#example-specifying-inputs
+process.env["INPUT_GITHUB-API-URL"] = "https://api.github.com";
+process.env["INPUT_SKIP-TOKEN-REVOKE"] = "false";
+
+const mockAgent = new MockAgent();
+
+setGlobalDispatcher(mockAgent);
+
+// Provide the base url to the request
+const mockPool = mockAgent.get("https://api.github.com");
+
+// intercept the requests
+mockPool
+  .intercept({
+    path: "/installation/token",
+    method: "DELETE",
+    headers: {
+      authorization: "token secret123",
+    },
+  })
+  .reply(204);
+mockPool
+  .intercept({
+    path: "/installation/token",
+    method: "DELETE",
+    headers: {
+      authorization: "token secret789",
+    },
+  })
+  .reply(401);
+
+await import("../post.js");